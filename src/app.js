@@ -11,14 +11,54 @@ app.use(cors({
 
 app.use(express.json({limit: "16kb"}))
 app.use(express.urlencoded({extended: true, limit: "16kb"}))
+
+// files kept by the local storage driver, the default directory is already inside public
+import { getLocalStorageConfig } from './utils/storage/local.driver.js'
+import { video_upOptions, hls_upOptions } from './constants.js'
+import { errorHandler, notFoundHandler } from './middlewares/error.middleware.js'
+
+if (process.env.STORAGE_DRIVER === "local") {
+    const { baseUrl, directory } = getLocalStorageConfig()
+
+    // videos only go out through /api/v1/videos/stream, which keeps unpublished ones private
+    for (const folder of [video_upOptions.folder, hls_upOptions.folder]) {
+        app.use(`${baseUrl}/${folder}`, notFoundHandler)
+    }
+    app.use(baseUrl, express.static(directory))
+}
+
+// multer uploads, partial resumable uploads and files waiting for the job worker are never served
+app.use("/temp", notFoundHandler)
 app.use(express.static("public"))
 app.use(cookieParser())
 
 // routes
 import userRouter from './routes/user.routes.js'
+import videoRouter from './routes/video.routes.js'
+import commentRouter from './routes/comment.routes.js'
+import likeRouter from './routes/like.routes.js'
+import subscriptionRouter from './routes/subscription.routes.js'
+import playlistRouter from './routes/playlist.routes.js'
+import postRouter from './routes/post.routes.js'
+import dashboardRouter from './routes/dashboard.routes.js'
+import uploadRouter from './routes/upload.routes.js'
+import historyRouter from './routes/history.routes.js'
 
 //routes declaration 
 app.use("/api/v1/users",userRouter)
+app.use("/api/v1/videos",videoRouter)
+app.use("/api/v1/comments",commentRouter)
+app.use("/api/v1/likes",likeRouter)
+app.use("/api/v1/subscriptions",subscriptionRouter)
+app.use("/api/v1/playlists",playlistRouter)
+app.use("/api/v1/posts",postRouter)
+app.use("/api/v1/dashboard",dashboardRouter)
+app.use("/api/v1/uploads",uploadRouter)
+app.use("/api/v1/history",historyRouter)
+
+// error handling, must come after every route
+app.use(notFoundHandler)
+app.use(errorHandler)
 
 
 //http://localhost:8000//api/v1/users/login
@@ -9,6 +9,10 @@ export const avatar_upOptions = {
   folder: "YT/avatar",
   resource_type: "image",
 };
+export const post_upOptions = {
+  folder: "YT/post",
+  resource_type: "image",
+};
 export const thumbnail_upOptions = {
   folder: "YT/thumbnail",
   resource_type: "image",
@@ -21,3 +25,109 @@ export const video_upOptions = {
   eager_async: true,
   eager_notification_url: "http://localhost:8000/",
 };
+
+export const MAX_COMMENT_DEPTH = 5;
+export const DELETED_COMMENT_CONTENT = "[deleted]";
+
+// Reactions stored on the Like collection, "like" is the default for older documents
+export const VIDEO_REACTION_TYPES = ["like", "dislike"];
+export const COMMENT_REACTION_TYPES = ["like", "dislike"];
+export const POST_REACTION_TYPES = ["like", "dislike", "love", "haha", "wow", "sad"];
+export const REACTION_TYPES = POST_REACTION_TYPES;
+
+// Resumable uploads
+export const UPLOAD_CHUNK_MAX_SIZE = 10 * 1024 * 1024; // 10 MB
+export const UPLOAD_SESSION_TTL = 24 * 60 * 60 * 1000; // 24 hours without a chunk
+export const MAX_VIDEO_UPLOAD_SIZE = 2 * 1024 * 1024 * 1024; // 2 GB
+export const MAX_VIDEO_DURATION = 12 * 60 * 60; // 12 hours, in seconds
+
+export const hls_upOptions = {
+  folder: "YT/hls",
+  resource_type: "raw",
+};
+
+export const preview_upOptions = {
+  folder: "YT/previews",
+  resource_type: "raw",
+};
+
+// Thumbnails and scrub previews generated from the video
+export const THUMBNAIL_CANDIDATE_COUNT = 3;
+export const PREVIEW_FRAME_INTERVAL = 5; // seconds between sprite frames, widened for long videos
+export const PREVIEW_MAX_FRAMES = 100;
+export const PREVIEW_TILE_WIDTH = 160; // px, the height follows the video's aspect ratio
+export const PREVIEW_SPRITE_COLUMNS = 10;
+
+// HLS ladder for the local transcoder, bitrates in kbps. Only renditions at or below the source height are produced.
+export const HLS_RENDITIONS = [
+  { height: 240, videoBitrate: 400, audioBitrate: 64 },
+  { height: 360, videoBitrate: 800, audioBitrate: 96 },
+  { height: 480, videoBitrate: 1400, audioBitrate: 128 },
+  { height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+];
+export const HLS_SEGMENT_DURATION = 6; // seconds
+
+// Streaming, caches revalidate with the ETag after this, so an unpublished or deleted video stops being served soon
+export const STREAM_CACHE_MAX_AGE = 60; // seconds
+
+// Background jobs
+export const JOB_MAX_ATTEMPTS = 5;
+export const JOB_RETRY_BASE_DELAY = 30 * 1000; // 30 seconds, doubled after every failed attempt
+export const JOB_RETRY_MAX_DELAY = 60 * 60 * 1000; // 1 hour
+export const JOB_LOCK_TIMEOUT = 5 * 60 * 1000; // 5 minutes without a heartbeat, the job's worker is treated as crashed
+export const JOB_HEARTBEAT_INTERVAL = 60 * 1000; // 1 minute, running jobs refresh their lock this often
+export const JOB_POLL_INTERVAL = 5 * 1000; // 5 seconds
+
+// Search suggestions
+export const SEARCH_QUERY_MAX_LENGTH = 100;
+export const SEARCH_QUERY_HALF_LIFE_DAYS = 7; // a query searched a week ago counts half as much as one searched today
+export const SEARCH_QUERY_MIN_COUNT = 3; // searches needed before a query is suggested to others
+
+// Recommendations, each signal's weight in the "up next" score
+export const RECOMMENDATION_WEIGHTS = {
+  sameChannel: 3,
+  sharedTags: 4, // share of the current video's tags found on the candidate
+  sharedTerms: 3, // share of the current title's terms found in the candidate
+  coWatch: 5, // scaled so the most co-watched candidate gets the full weight
+  popularity: 0.5, // per order of magnitude of views
+  recency: 2, // halves every RECOMMENDATION_RECENCY_HALF_LIFE_DAYS
+};
+export const RECOMMENDATION_RECENCY_HALF_LIFE_DAYS = 30;
+export const RECOMMENDATION_WATCHED_FACTOR = 0.3; // already watched videos keep 30% of their score
+export const RECOMMENDATION_CO_WATCH_USERS = 500; // most recent viewers sampled for co-watch signals
+export const RECOMMENDATION_CO_WATCH_VIDEOS = 100;
+
+// Tags and categories
+export const MAX_VIDEO_TAGS = 15;
+export const MAX_TAG_LENGTH = 30;
+export const VIDEO_CATEGORIES = [
+  "film-animation",
+  "autos-vehicles",
+  "music",
+  "pets-animals",
+  "sports",
+  "travel-events",
+  "gaming",
+  "people-blogs",
+  "comedy",
+  "entertainment",
+  "news-politics",
+  "howto-style",
+  "education",
+  "science-technology",
+  "nonprofits-activism",
+];
+
+// Trending
+export const TRENDING_RECOMPUTE_INTERVAL = 10 * 60 * 1000; // 10 minutes
+export const TRENDING_HALF_LIFE_HOURS = 12; // activity from 12 hours ago counts half
+export const TRENDING_WEIGHTS = {
+  views: 1,
+  likes: 5,
+  comments: 10,
+};
+export const TRENDING_MIN_SCORE = 0.5; // decayed below this, a video drops out of the snapshot
+
+// Watch history
+export const WATCH_COMPLETED_PROGRESS = 95; // percent, a video watched this far resumes from the start
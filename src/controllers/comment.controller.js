@@ -0,0 +1,350 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { Comment } from "../models/comment.model.js";
+import { Like } from "../models/like.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { countReactionExpr, userReactionExpr } from "../utils/reactions.js";
+import { findWatchableVideo } from "../utils/videoAccess.js";
+import { DELETED_COMMENT_CONTENT, MAX_COMMENT_DEPTH } from "../constants.js";
+
+// Builds the aggregation pipeline shared by the comment and reply listings
+const buildCommentListPipeline = (match, sortBy, userId) => {
+  // "top" sorts by likes first, "oldest" reads as a conversation, everything else is newest first
+  const sortStages = {
+    top: { likesCount: -1, createdAt: -1 },
+    oldest: { createdAt: 1 },
+  };
+  const sortStage = sortStages[sortBy] || { createdAt: -1 };
+
+  return [
+    {
+      $match: match,
+    },
+    {
+      // Lookup stage to get owner details
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [
+          {
+            // Project only the required fields for the owner
+            $project: {
+              username: 1,
+              fullName: 1,
+              avatar: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      // Lookup stage to get likes for the comment
+      $lookup: {
+        from: "likes",
+        localField: "_id",
+        foreignField: "comment",
+        as: "likes",
+      },
+    },
+    {
+      // Lookup stage to get direct replies of the comment
+      $lookup: {
+        from: "comments",
+        localField: "_id",
+        foreignField: "parent",
+        as: "replies",
+      },
+    },
+    {
+      // Add fields for reaction and replies counts, simplify owner details, and determine the user's reaction
+      $addFields: {
+        likesCount: countReactionExpr("$likes", "like"),
+        repliesCount: {
+          $size: "$replies",
+        },
+        owner: {
+          // Deleted placeholders don't reveal who wrote them
+          $cond: {
+            if: "$isDeleted",
+            then: null,
+            else: { $first: "$owner" },
+          },
+        },
+        // Dislikes are only shown to the author of the comment
+        dislikesCount: {
+          $cond: {
+            if: { $in: [userId, "$owner._id"] },
+            then: countReactionExpr("$likes", "dislike"),
+            else: "$$REMOVE",
+          },
+        },
+        userReaction: userReactionExpr("$likes", userId),
+      },
+    },
+    {
+      $addFields: {
+        isLiked: {
+          $eq: ["$userReaction", "like"],
+        },
+      },
+    },
+    {
+      $sort: sortStage,
+    },
+    {
+      // Project only the required fields for the comment
+      $project: {
+        content: 1,
+        parent: 1,
+        depth: 1,
+        isDeleted: 1,
+        createdAt: 1,
+        updatedAt: 1,
+        likesCount: 1,
+        dislikesCount: 1,
+        repliesCount: 1,
+        owner: 1,
+        isLiked: 1,
+        userReaction: 1,
+      },
+    },
+  ];
+};
+
+// Removes deleted placeholders walking up the thread once they have no replies left
+const pruneDeletedAncestors = async (parentId) => {
+  let currentId = parentId;
+
+  while (currentId) {
+    const parent = await Comment.findById(currentId);
+    if (!parent?.isDeleted) return;
+
+    const hasReplies = await Comment.exists({ parent: parent._id });
+    if (hasReplies) return;
+
+    await Comment.findByIdAndDelete(parent._id);
+    currentId = parent.parent;
+  }
+};
+
+// Async handler to get the top-level comments of a video with pagination
+const getVideoComments = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  // Query parameters are validated and coerced by getVideoCommentsSchema
+  const { page, limit, sortBy } = req.query;
+
+  // Check if videoId is valid
+  if (!isValidObjectId(videoId)) throw new ApiError(400, "Invalid videoId");
+
+  // Comments of unpublished videos are only shown to their owner
+  await findWatchableVideo(videoId, req.user?._id);
+
+  // Aggregate query to get top-level comments along with owner details, likes and replies count
+  const commentsAggregate = Comment.aggregate(
+    buildCommentListPipeline(
+      {
+        video: new mongoose.Types.ObjectId(videoId),
+        parent: null,
+      },
+      sortBy,
+      req.user?._id
+    )
+  );
+
+  // Execute the aggregation with pagination
+  const comments = await Comment.aggregatePaginate(commentsAggregate, {
+    page,
+    limit,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, comments, "Comments fetched successfully"));
+});
+
+// Async handler to get the direct replies of a comment with pagination
+const getCommentReplies = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  // Query parameters are validated and coerced by getCommentRepliesSchema
+  const { page, limit, sortBy } = req.query;
+
+  // Check if commentId is valid
+  if (!isValidObjectId(commentId)) throw new ApiError(400, "Invalid commentId");
+
+  // Find the parent comment by ID
+  const comment = await Comment.findById(commentId);
+  if (!comment) throw new ApiError(404, "Comment not found");
+
+  // Threads of unpublished videos are only shown to their owner
+  await findWatchableVideo(comment.video, req.user?._id);
+
+  const pipeline = buildCommentListPipeline(
+    {
+      parent: new mongoose.Types.ObjectId(commentId),
+    },
+    sortBy,
+    req.user?._id
+  );
+
+  // Execute the aggregation with pagination
+  const replies = await Comment.aggregatePaginate(Comment.aggregate(pipeline), {
+    page,
+    limit,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, replies, "Replies fetched successfully"));
+});
+
+// Async handler to add a comment to a video
+const addComment = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { content } = req.body;
+
+  // Check if videoId is valid
+  if (!isValidObjectId(videoId)) throw new ApiError(400, "Invalid videoId");
+
+  // Check if content is missing or empty
+  if (!content?.trim()) throw new ApiError(400, "Content is required");
+
+  // Only the owner can comment on an unpublished video
+  await findWatchableVideo(videoId, req.user?._id);
+
+  // Create the comment
+  const comment = await Comment.create({
+    content,
+    video: videoId,
+    owner: req.user?._id,
+  });
+
+  if (!comment) throw new ApiError(500, "Failed to add comment");
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, comment, "Comment added successfully"));
+});
+
+// Async handler to reply to a comment
+const addReply = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+  const { content } = req.body;
+
+  // Check if commentId is valid
+  if (!isValidObjectId(commentId)) throw new ApiError(400, "Invalid commentId");
+
+  // Check if content is missing or empty
+  if (!content?.trim()) throw new ApiError(400, "Content is required");
+
+  // Find the parent comment by ID
+  const parent = await Comment.findById(commentId);
+  if (!parent) throw new ApiError(404, "Comment not found");
+
+  if (parent.isDeleted) {
+    throw new ApiError(400, "You can't reply to a deleted comment");
+  }
+
+  if (parent.depth >= MAX_COMMENT_DEPTH) {
+    throw new ApiError(400, "Maximum reply depth reached");
+  }
+
+  // Only the owner can reply on an unpublished video
+  await findWatchableVideo(parent.video, req.user?._id);
+
+  // Create the reply on the same video as its parent
+  const reply = await Comment.create({
+    content,
+    video: parent.video,
+    owner: req.user?._id,
+    parent: parent._id,
+    depth: parent.depth + 1,
+  });
+
+  if (!reply) throw new ApiError(500, "Failed to add reply");
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, reply, "Reply added successfully"));
+});
+
+// Async handler to edit a comment owned by the current user
+const updateComment = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+  const { content } = req.body;
+
+  // Check if content is missing or empty
+  if (!content?.trim()) throw new ApiError(400, "Content is required");
+
+  // The comment was loaded and its ownership checked by verifyOwnership
+  const comment = req.resource;
+
+  if (comment.isDeleted) throw new ApiError(400, "Comment has been deleted");
+
+  // Update the comment content
+  const updatedComment = await Comment.findByIdAndUpdate(
+    commentId,
+    {
+      $set: {
+        content,
+      },
+    },
+    { new: true }
+  );
+
+  if (!updatedComment) throw new ApiError(500, "Updating comment failed");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, updatedComment, "Comment updated successfully"));
+});
+
+// Async handler to delete a comment owned by the current user
+const deleteComment = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  // The comment was loaded and its ownership checked by verifyOwnership
+  const comment = req.resource;
+  if (comment.isDeleted) throw new ApiError(404, "Comment not found");
+
+  // Comments that still have replies are kept as a placeholder so the thread stays intact
+  const hasReplies = await Comment.exists({ parent: comment._id });
+
+  if (hasReplies) {
+    await Promise.all([
+      Comment.findByIdAndUpdate(commentId, {
+        $set: {
+          content: DELETED_COMMENT_CONTENT,
+          isDeleted: true,
+        },
+      }),
+      Like.deleteMany({ comment: commentId }),
+    ]);
+  } else {
+    // Delete the comment and its likes in parallel
+    await Promise.all([
+      Comment.findByIdAndDelete(commentId),
+      Like.deleteMany({ comment: commentId }),
+    ]);
+
+    // Clean up placeholders that were only kept alive by this reply
+    await pruneDeletedAncestors(comment.parent);
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, null, "Comment deleted successfully"));
+});
+
+export {
+  getVideoComments,
+  getCommentReplies,
+  addComment,
+  addReply,
+  updateComment,
+  deleteComment,
+};
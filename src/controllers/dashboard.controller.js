@@ -0,0 +1,167 @@
+import mongoose from "mongoose";
+import { Video } from "../models/video.model.js";
+import { Subcription } from "../models/subcription.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { lookupCountExpr, reactionCountLookup } from "../utils/reactions.js";
+
+// Fields the per-video table can be sorted by
+const SORTABLE_FIELDS = [
+  "createdAt",
+  "views",
+  "likesCount",
+  "dislikesCount",
+  "commentsCount",
+  "title",
+];
+
+// Async handler to get the totals of the current user's channel
+const getChannelStats = asyncHandler(async (req, res) => {
+  const ownerId = new mongoose.Types.ObjectId(req.user?._id);
+
+  // Aggregate query to sum up views and reactions across the owner's videos
+  const [videoStats, totalSubscribers] = await Promise.all([
+    Video.aggregate([
+      {
+        $match: {
+          owner: ownerId,
+        },
+      },
+      // Lookup stages to count the reactions of each video
+      reactionCountLookup("video", "like", "likes"),
+      reactionCountLookup("video", "dislike", "dislikes"),
+      {
+        // Lookup stage to count the comments of each video, deleted ones are only placeholders
+        $lookup: {
+          from: "comments",
+          localField: "_id",
+          foreignField: "video",
+          as: "comments",
+          pipeline: [
+            { $match: { isDeleted: { $ne: true } } },
+            { $count: "count" },
+          ],
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          totalVideos: { $sum: 1 },
+          totalViews: { $sum: "$views" },
+          totalLikes: { $sum: lookupCountExpr("$likes") },
+          totalDislikes: { $sum: lookupCountExpr("$dislikes") },
+          totalComments: { $sum: lookupCountExpr("$comments") },
+          publishedVideos: {
+            $sum: { $cond: { if: "$isPublished", then: 1, else: 0 } },
+          },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+        },
+      },
+    ]),
+    Subcription.countDocuments({ channel: ownerId }),
+  ]);
+
+  // Channels without videos still get a complete set of totals
+  const stats = {
+    totalVideos: 0,
+    publishedVideos: 0,
+    totalViews: 0,
+    totalLikes: 0,
+    totalDislikes: 0,
+    totalComments: 0,
+    ...videoStats[0],
+    totalSubscribers,
+  };
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, stats, "Channel stats fetched successfully"));
+});
+
+// Async handler to get the per-video table of the current user's channel
+const getChannelVideos = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 10,
+    sortBy = "createdAt",
+    sortType = "desc",
+  } = req.query;
+
+  // Check if sortBy is one of the supported fields
+  if (!SORTABLE_FIELDS.includes(sortBy)) {
+    throw new ApiError(
+      400,
+      `sortBy must be one of: ${SORTABLE_FIELDS.join(", ")}`
+    );
+  }
+
+  // Aggregate query to get the owner's videos, published or not, with their stats
+  const videosAggregate = Video.aggregate([
+    {
+      $match: {
+        owner: new mongoose.Types.ObjectId(req.user?._id),
+      },
+    },
+    // Lookup stages to count the reactions of the video
+    reactionCountLookup("video", "like", "likes"),
+    reactionCountLookup("video", "dislike", "dislikes"),
+    {
+      // Lookup stage to count the comments of the video, deleted ones are only placeholders
+      $lookup: {
+        from: "comments",
+        localField: "_id",
+        foreignField: "video",
+        as: "comments",
+        pipeline: [
+          { $match: { isDeleted: { $ne: true } } },
+          { $count: "count" },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        likesCount: lookupCountExpr("$likes"),
+        dislikesCount: lookupCountExpr("$dislikes"),
+        commentsCount: lookupCountExpr("$comments"),
+      },
+    },
+    {
+      $sort: {
+        [sortBy]: sortType === "asc" ? 1 : -1,
+        _id: -1,
+      },
+    },
+    {
+      $project: {
+        "thumbnail.url": 1,
+        title: 1,
+        views: 1,
+        likesCount: 1,
+        dislikesCount: 1,
+        commentsCount: 1,
+        isPublished: 1,
+        createdAt: 1,
+      },
+    },
+  ]);
+
+  // Define pagination options
+  const options = {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+  };
+
+  // Execute the aggregation with pagination
+  const videos = await Video.aggregatePaginate(videosAggregate, options);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Channel videos fetched successfully"));
+});
+
+export { getChannelStats, getChannelVideos };
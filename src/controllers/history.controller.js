@@ -0,0 +1,244 @@
+import mongoose from "mongoose";
+import { WatchHistory } from "../models/watchHistory.model.js";
+import { User } from "../models/user.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import {
+  countView,
+  getWatchProgress,
+  recordWatch,
+} from "../utils/watchHistory.js";
+import { findWatchableVideo } from "../utils/videoAccess.js";
+import { WATCH_COMPLETED_PROGRESS } from "../constants.js";
+
+// Async handler to get the current user's watch history, most recently watched first
+const getWatchHistory = asyncHandler(async (req, res) => {
+  // Query parameters are validated and coerced by getWatchHistorySchema
+  const { page, limit } = req.query;
+  const userId = new mongoose.Types.ObjectId(req.user?._id);
+
+  const historyAggregate = WatchHistory.aggregate([
+    {
+      $match: { user: userId },
+    },
+    {
+      $sort: { watchedAt: -1, _id: -1 },
+    },
+    {
+      // Lookup stage to get the video, entries of videos that were unpublished since are left out
+      $lookup: {
+        from: "videos",
+        localField: "video",
+        foreignField: "_id",
+        as: "video",
+        pipeline: [
+          {
+            $match: { $or: [{ isPublished: true }, { owner: userId }] },
+          },
+          {
+            // Lookup stage to get owner details
+            $lookup: {
+              from: "users",
+              localField: "owner",
+              foreignField: "_id",
+              as: "ownerDetails",
+              pipeline: [
+                {
+                  $project: {
+                    username: 1,
+                    fullName: 1,
+                    "avatar.url": 1,
+                  },
+                },
+              ],
+            },
+          },
+          {
+            $addFields: {
+              ownerDetails: { $first: "$ownerDetails" },
+            },
+          },
+          {
+            $project: {
+              title: 1,
+              "thumbnail.url": 1,
+              duration: 1,
+              views: 1,
+              owner: 1,
+              ownerDetails: 1,
+              createdAt: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      $unwind: "$video",
+    },
+    {
+      $project: {
+        _id: 0,
+        video: 1,
+        watchedAt: 1,
+        position: 1,
+        progress: 1,
+      },
+    },
+  ]);
+
+  const watchHistory = await WatchHistory.aggregatePaginate(historyAggregate, {
+    page,
+    limit,
+  });
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        ...watchHistory,
+        isHistoryPaused: Boolean(req.user?.isHistoryPaused),
+      },
+      "Watch history fetched successfully"
+    )
+  );
+});
+
+// Async handler to get where the current user stopped watching a video
+const getResumePosition = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  await findWatchableVideo(videoId, req.user?._id);
+
+  const entry = await WatchHistory.findOne({
+    user: req.user?._id,
+    video: videoId,
+  });
+
+  // A video that was watched to the end starts over
+  const isCompleted = (entry?.progress || 0) >= WATCH_COMPLETED_PROGRESS;
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        videoId,
+        position: entry?.position || 0,
+        progress: entry?.progress || 0,
+        resumePosition: isCompleted ? 0 : entry?.position || 0,
+        watchedAt: entry?.watchedAt || null,
+      },
+      "Resume position fetched successfully"
+    )
+  );
+});
+
+// Async handler to save the playback position of a video for the current user
+const reportWatchProgress = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  // Position is validated and coerced to a number by reportWatchProgressSchema
+  const { position } = req.body;
+
+  const video = await findWatchableVideo(videoId, req.user?._id);
+
+  // The first report of a video also counts its view, in case the player skipped the views endpoint
+  await countView(req.user?._id, video._id);
+
+  // Nothing is recorded while the user has paused their history
+  if (req.user?.isHistoryPaused) {
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { isHistoryPaused: true },
+          "Watch history is paused, progress was not saved"
+        )
+      );
+  }
+
+  // Players may report a position slightly past the end
+  const clampedPosition = video.duration
+    ? Math.min(position, video.duration)
+    : position;
+
+  const entry = await recordWatch(req.user?._id, video._id, {
+    position: clampedPosition,
+    progress: getWatchProgress(clampedPosition, video.duration),
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, entry, "Watch progress saved successfully"));
+});
+
+// Async handler to remove one video from the current user's watch history
+const removeFromWatchHistory = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const entry = await WatchHistory.findOneAndDelete({
+    user: req.user?._id,
+    video: videoId,
+  });
+
+  if (!entry) throw new ApiError(404, "Video is not in the watch history");
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        null,
+        "Video removed from watch history successfully"
+      )
+    );
+});
+
+// Async handler to clear the current user's watch history
+const clearWatchHistory = asyncHandler(async (req, res) => {
+  const { deletedCount } = await WatchHistory.deleteMany({
+    user: req.user?._id,
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { deletedCount },
+        "Watch history cleared successfully"
+      )
+    );
+});
+
+// Async handler to pause or resume recording of the current user's watch history
+const setWatchHistoryPaused = asyncHandler(async (req, res) => {
+  // isPaused is validated and coerced to a boolean by setWatchHistoryPausedSchema
+  const { isPaused } = req.body;
+
+  const user = await User.findByIdAndUpdate(
+    req.user?._id,
+    { $set: { isHistoryPaused: isPaused } },
+    { new: true }
+  ).select("isHistoryPaused");
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { isHistoryPaused: user.isHistoryPaused },
+        isPaused ? "Watch history paused" : "Watch history resumed"
+      )
+    );
+});
+
+export {
+  getWatchHistory,
+  getResumePosition,
+  reportWatchProgress,
+  removeFromWatchHistory,
+  clearWatchHistory,
+  setWatchHistoryPaused,
+};
@@ -0,0 +1,207 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { Like } from "../models/like.model.js";
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Post } from "../models/post.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { streamUrlFields } from "../utils/streamUrls.js";
+import { countReactions, toggleReaction } from "../utils/reactions.js";
+import {
+  COMMENT_REACTION_TYPES,
+  POST_REACTION_TYPES,
+  VIDEO_REACTION_TYPES,
+} from "../constants.js";
+
+// Reacts to the item described by target and returns the new reaction state
+const reactTo = async (target, userId, type, allowedTypes) => {
+  // Check if the reaction type is supported for this kind of item
+  if (!allowedTypes.includes(type)) {
+    throw new ApiError(
+      400,
+      `Reaction type must be one of: ${allowedTypes.join(", ")}`
+    );
+  }
+
+  const reaction = await toggleReaction(target, userId, type);
+  const reactionsCount = await countReactions(target);
+
+  return {
+    reaction,
+    isLiked: reaction === "like",
+    likesCount: reactionsCount.like || 0,
+  };
+};
+
+// Async handler to like, dislike or clear the reaction on a video
+const toggleVideoLike = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { type = "like" } = req.body || {};
+
+  // Check if videoId is valid
+  if (!isValidObjectId(videoId)) throw new ApiError(400, "Invalid videoId");
+
+  // Find the video by ID
+  const video = await Video.findById(videoId);
+  if (!video) throw new ApiError(404, "Video not found");
+
+  const result = await reactTo(
+    { video: video._id },
+    req.user?._id,
+    type,
+    VIDEO_REACTION_TYPES
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Video reaction updated successfully"));
+});
+
+// Async handler to like, dislike or clear the reaction on a comment
+const toggleCommentLike = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+  const { type = "like" } = req.body || {};
+
+  // Check if commentId is valid
+  if (!isValidObjectId(commentId)) throw new ApiError(400, "Invalid commentId");
+
+  // Find the comment by ID
+  const comment = await Comment.findById(commentId);
+  if (!comment || comment.isDeleted) {
+    throw new ApiError(404, "Comment not found");
+  }
+
+  const result = await reactTo(
+    { comment: comment._id },
+    req.user?._id,
+    type,
+    COMMENT_REACTION_TYPES
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, result, "Comment reaction updated successfully")
+    );
+});
+
+// Async handler to react to a community post or clear the reaction
+const togglePostLike = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+  const { type = "like" } = req.body || {};
+
+  // Check if postId is valid
+  if (!isValidObjectId(postId)) throw new ApiError(400, "Invalid postId");
+
+  // Find the post by ID
+  const post = await Post.findById(postId);
+  if (!post) throw new ApiError(404, "Post not found");
+
+  const result = await reactTo(
+    { post: post._id },
+    req.user?._id,
+    type,
+    POST_REACTION_TYPES
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Post reaction updated successfully"));
+});
+
+// Async handler to get the videos liked by the current user
+const getLikedVideos = asyncHandler(async (req, res) => {
+  // Query parameters are validated and coerced by getLikedVideosSchema
+  const { page, limit } = req.query;
+
+  // Aggregate query to get liked videos, most recently liked first
+  const likedVideosAggregate = Like.aggregate([
+    {
+      // Match stage to find video likes of the current user
+      $match: {
+        likedBy: new mongoose.Types.ObjectId(req.user?._id),
+        video: { $exists: true },
+        type: { $in: ["like", null] },
+      },
+    },
+    {
+      $sort: {
+        createdAt: -1,
+      },
+    },
+    {
+      // Lookup stage to get the liked video with its owner details
+      $lookup: {
+        from: "videos",
+        localField: "video",
+        foreignField: "_id",
+        as: "video",
+        pipeline: [
+          {
+            $match: {
+              isPublished: true,
+            },
+          },
+          {
+            $lookup: {
+              from: "users",
+              localField: "owner",
+              foreignField: "_id",
+              as: "ownerDetails",
+              pipeline: [
+                {
+                  // Project only the required fields for the owner
+                  $project: {
+                    username: 1,
+                    fullName: 1,
+                    avatar: 1,
+                  },
+                },
+              ],
+            },
+          },
+          {
+            $unwind: "$ownerDetails",
+          },
+        ],
+      },
+    },
+    {
+      // Drop likes whose video was unpublished or no longer exists
+      $unwind: "$video",
+    },
+    {
+      $project: {
+        _id: 0,
+        likedAt: "$createdAt",
+        "video._id": 1,
+        ...streamUrlFields({ from: "video.", to: "video." }),
+        "video.thumbnail.url": 1,
+        "video.title": 1,
+        "video.description": 1,
+        "video.views": 1,
+        "video.duration": 1,
+        "video.createdAt": 1,
+        "video.ownerDetails": 1,
+      },
+    },
+  ]);
+
+  // Define pagination options
+  const options = { page, limit };
+
+  // Execute the aggregation with pagination
+  const likedVideos = await Like.aggregatePaginate(
+    likedVideosAggregate,
+    options
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, likedVideos, "Liked videos fetched successfully")
+    );
+});
+
+export { toggleVideoLike, toggleCommentLike, togglePostLike, getLikedVideos };
@@ -0,0 +1,382 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { Playlist } from "../models/playlist.model.js";
+import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { streamUrlFields } from "../utils/streamUrls.js";
+
+// Builds the aggregation stages that resolve a playlist's videos in playback order,
+// hiding unpublished videos from everyone except their owner
+const buildPlaylistVideosStages = (viewerId) => [
+  {
+    // Lookup stage to get the videos of the playlist
+    $lookup: {
+      from: "videos",
+      localField: "videos",
+      foreignField: "_id",
+      as: "videoDocs",
+      pipeline: [
+        {
+          $match: {
+            $or: [{ isPublished: true }, { owner: viewerId }],
+          },
+        },
+        {
+          // Lookup stage to get owner details of each video
+          $lookup: {
+            from: "users",
+            localField: "owner",
+            foreignField: "_id",
+            as: "ownerDetails",
+            pipeline: [
+              {
+                $project: {
+                  username: 1,
+                  fullName: 1,
+                  avatar: 1,
+                },
+              },
+            ],
+          },
+        },
+        {
+          $addFields: {
+            ownerDetails: {
+              $first: "$ownerDetails",
+            },
+          },
+        },
+        {
+          $project: {
+            ...streamUrlFields(),
+            "thumbnail.url": 1,
+            title: 1,
+            description: 1,
+            duration: 1,
+            views: 1,
+            isPublished: 1,
+            createdAt: 1,
+            ownerDetails: 1,
+          },
+        },
+      ],
+    },
+  },
+  {
+    // $lookup doesn't keep the array order, so map the stored ids back onto the documents
+    $addFields: {
+      videos: {
+        $filter: {
+          input: {
+            $map: {
+              input: "$videos",
+              as: "videoId",
+              in: {
+                $first: {
+                  $filter: {
+                    input: "$videoDocs",
+                    as: "video",
+                    cond: { $eq: ["$$video._id", "$$videoId"] },
+                  },
+                },
+              },
+            },
+          },
+          as: "video",
+          cond: { $ne: [{ $ifNull: ["$$video", null] }, null] },
+        },
+      },
+    },
+  },
+  {
+    $addFields: {
+      videoCount: {
+        $size: "$videos",
+      },
+      totalDuration: {
+        $sum: "$videos.duration",
+      },
+      thumbnail: {
+        $first: "$videos.thumbnail.url",
+      },
+    },
+  },
+];
+
+// Async handler to create a playlist
+const createPlaylist = asyncHandler(async (req, res) => {
+  const { name, description } = req.body;
+
+  // Check if name is missing or empty
+  if (!name?.trim()) throw new ApiError(400, "Name is required");
+
+  const playlist = await Playlist.create({
+    name,
+    description: description || "",
+    owner: req.user?._id,
+  });
+
+  if (!playlist) throw new ApiError(500, "Failed to create playlist");
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, playlist, "Playlist created successfully"));
+});
+
+// Async handler to list a user's playlists with video count, total duration and thumbnail
+const getUserPlaylists = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  // Check if userId is valid
+  if (!isValidObjectId(userId)) throw new ApiError(400, "Invalid userId");
+
+  // Find the user by ID
+  const user = await User.findById(userId);
+  if (!user) throw new ApiError(404, "User not found");
+
+  const playlists = await Playlist.aggregate([
+    {
+      $match: {
+        owner: new mongoose.Types.ObjectId(userId),
+      },
+    },
+    ...buildPlaylistVideosStages(req.user?._id),
+    {
+      $sort: {
+        updatedAt: -1,
+      },
+    },
+    {
+      $project: {
+        name: 1,
+        description: 1,
+        videoCount: 1,
+        totalDuration: 1,
+        thumbnail: 1,
+        createdAt: 1,
+        updatedAt: 1,
+      },
+    },
+  ]);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlists, "Playlists fetched successfully"));
+});
+
+// Async handler to get a playlist with its videos in order
+const getPlaylistById = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+
+  // Check if playlistId is valid
+  if (!isValidObjectId(playlistId)) {
+    throw new ApiError(400, "Invalid playlistId");
+  }
+
+  const playlist = await Playlist.aggregate([
+    {
+      $match: {
+        _id: new mongoose.Types.ObjectId(playlistId),
+      },
+    },
+    ...buildPlaylistVideosStages(req.user?._id),
+    {
+      // Lookup stage to get owner details of the playlist
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [
+          {
+            $project: {
+              username: 1,
+              fullName: 1,
+              avatar: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        owner: {
+          $first: "$owner",
+        },
+      },
+    },
+    {
+      $project: {
+        name: 1,
+        description: 1,
+        videos: 1,
+        videoCount: 1,
+        totalDuration: 1,
+        thumbnail: 1,
+        owner: 1,
+        createdAt: 1,
+        updatedAt: 1,
+      },
+    },
+  ]);
+
+  if (!playlist.length) throw new ApiError(404, "Playlist not found");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlist[0], "Playlist fetched successfully"));
+});
+
+// Async handler to rename a playlist or change its description
+const updatePlaylist = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+  const { name, description } = req.body;
+
+  // Check if name is missing or empty
+  if (!name?.trim()) throw new ApiError(400, "Name is required");
+
+  const update = { $set: { name } };
+  if (description !== undefined) update.$set.description = description;
+
+  const playlist = await Playlist.findByIdAndUpdate(playlistId, update, {
+    new: true,
+  });
+
+  if (!playlist) throw new ApiError(500, "Updating playlist failed");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlist, "Playlist updated successfully"));
+});
+
+// Async handler to delete a playlist
+const deletePlaylist = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+
+  await Playlist.findByIdAndDelete(playlistId);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, null, "Playlist deleted successfully"));
+});
+
+// Async handler to add a video at the end of a playlist
+const addVideoToPlaylist = asyncHandler(async (req, res) => {
+  const { playlistId, videoId } = req.params;
+
+  // Check if videoId is valid
+  if (!isValidObjectId(videoId)) throw new ApiError(400, "Invalid videoId");
+
+  // Find the video by ID, other people's unpublished videos can't be added
+  const video = await Video.findById(videoId);
+  if (
+    !video ||
+    (!video.isPublished && video.owner?.toString() !== req.user?._id.toString())
+  ) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  // $addToSet keeps a video from appearing twice in the same playlist.
+  // Bumping the version makes a reorder that loaded the playlist before this fail with 409.
+  const playlist = await Playlist.findByIdAndUpdate(
+    playlistId,
+    {
+      $addToSet: {
+        videos: video._id,
+      },
+      $inc: { __v: 1 },
+    },
+    { new: true }
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlist, "Video added to playlist"));
+});
+
+// Async handler to remove a video from a playlist
+const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
+  const { playlistId, videoId } = req.params;
+
+  // Check if videoId is valid
+  if (!isValidObjectId(videoId)) throw new ApiError(400, "Invalid videoId");
+
+  // Bumping the version makes a concurrent reorder fail instead of putting the video back
+  const playlist = await Playlist.findByIdAndUpdate(
+    playlistId,
+    {
+      $pull: {
+        videos: new mongoose.Types.ObjectId(videoId),
+      },
+      $inc: { __v: 1 },
+    },
+    { new: true }
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlist, "Video removed from playlist"));
+});
+
+// Async handler to move a video to a new position in a playlist
+const moveVideoInPlaylist = asyncHandler(async (req, res) => {
+  const { playlistId, videoId } = req.params;
+  const position = parseInt(req.body?.position, 10);
+
+  // Check if videoId is valid
+  if (!isValidObjectId(videoId)) throw new ApiError(400, "Invalid videoId");
+
+  // The playlist was loaded and its ownership checked by verifyOwnership
+  const playlist = req.resource;
+
+  const currentIndex = playlist.videos.findIndex(
+    (id) => id.toString() === videoId
+  );
+  if (currentIndex === -1) {
+    throw new ApiError(404, "Video is not in this playlist");
+  }
+
+  // Check if position is within the playlist
+  if (
+    Number.isNaN(position) ||
+    position < 0 ||
+    position >= playlist.videos.length
+  ) {
+    throw new ApiError(
+      400,
+      `Position must be between 0 and ${playlist.videos.length - 1}`
+    );
+  }
+
+  // Reassigning the whole array makes save() reject it if the playlist changed meanwhile
+  const videos = [...playlist.videos];
+  const [moved] = videos.splice(currentIndex, 1);
+  videos.splice(position, 0, moved);
+  playlist.videos = videos;
+
+  try {
+    await playlist.save();
+  } catch (error) {
+    if (error?.name === "VersionError") {
+      throw new ApiError(409, "Playlist was modified, please try again");
+    }
+    throw error;
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlist, "Playlist reordered successfully"));
+});
+
+export {
+  createPlaylist,
+  getUserPlaylists,
+  getPlaylistById,
+  updatePlaylist,
+  deletePlaylist,
+  addVideoToPlaylist,
+  removeVideoFromPlaylist,
+  moveVideoInPlaylist,
+};
@@ -0,0 +1,194 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { Post } from "../models/post.model.js";
+import { User } from "../models/user.model.js";
+import { Like } from "../models/like.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { countReactionExpr, userReactionExpr } from "../utils/reactions.js";
+import { POST_REACTION_TYPES, post_upOptions } from "../constants.js";
+import { uploadMedia, deleteMedia } from "../utils/storage/index.js";
+
+// Async handler to create a post, optionally with an image
+const createPost = asyncHandler(async (req, res) => {
+  const { content } = req.body;
+
+  // Check if content is missing or empty
+  if (!content?.trim()) throw new ApiError(400, "Content is required");
+
+  // Upload the attached image, if any
+  const imageLocalPath = req.file?.path;
+  let image;
+
+  if (imageLocalPath) {
+    const imageFile = await uploadMedia(imageLocalPath, post_upOptions);
+    if (!imageFile) throw new ApiError(500, "Failed to upload image");
+
+    image = {
+      fileId: imageFile.fileId,
+      url: imageFile.url,
+    };
+  }
+
+  const post = await Post.create({
+    content,
+    image,
+    owner: req.user?._id,
+  });
+
+  if (!post) throw new ApiError(500, "Failed to create post");
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, post, "Post created successfully"));
+});
+
+// Async handler to get the posts of a channel with pagination
+const getUserPosts = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  // Query parameters are validated and coerced by getUserPostsSchema
+  const { page, limit } = req.query;
+
+  // Check if userId is valid
+  if (!isValidObjectId(userId)) throw new ApiError(400, "Invalid userId");
+
+  // Find the user by ID
+  const user = await User.findById(userId);
+  if (!user) throw new ApiError(404, "User not found");
+
+  const isOwner = user._id.toString() === req.user?._id.toString();
+
+  // Public reaction counts, dislikes are only shown to the owner
+  const reactionsCount = Object.fromEntries(
+    POST_REACTION_TYPES.filter((type) => isOwner || type !== "dislike").map(
+      (type) => [type, countReactionExpr("$likes", type)]
+    )
+  );
+
+  // Aggregate query to get posts along with owner details and reactions, newest first
+  const postsAggregate = Post.aggregate([
+    {
+      $match: {
+        owner: new mongoose.Types.ObjectId(userId),
+      },
+    },
+    {
+      $sort: {
+        createdAt: -1,
+      },
+    },
+    {
+      // Lookup stage to get owner details
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [
+          {
+            $project: {
+              username: 1,
+              fullName: 1,
+              avatar: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      // Lookup stage to get reactions for the post
+      $lookup: {
+        from: "likes",
+        localField: "_id",
+        foreignField: "post",
+        as: "likes",
+      },
+    },
+    {
+      $addFields: {
+        owner: {
+          $first: "$owner",
+        },
+        likesCount: countReactionExpr("$likes", "like"),
+        reactionsCount,
+        userReaction: userReactionExpr("$likes", req.user?._id),
+      },
+    },
+    {
+      $addFields: {
+        isLiked: {
+          $eq: ["$userReaction", "like"],
+        },
+      },
+    },
+    {
+      $project: {
+        content: 1,
+        "image.url": 1,
+        owner: 1,
+        likesCount: 1,
+        reactionsCount: 1,
+        userReaction: 1,
+        isLiked: 1,
+        createdAt: 1,
+        updatedAt: 1,
+      },
+    },
+  ]);
+
+  // Define pagination options
+  const options = { page, limit };
+
+  // Execute the aggregation with pagination
+  const posts = await Post.aggregatePaginate(postsAggregate, options);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, posts, "Posts fetched successfully"));
+});
+
+// Async handler to edit a post owned by the current user
+const updatePost = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+  const { content } = req.body;
+
+  // Check if content is missing or empty
+  if (!content?.trim()) throw new ApiError(400, "Content is required");
+
+  const post = await Post.findByIdAndUpdate(
+    postId,
+    {
+      $set: {
+        content,
+      },
+    },
+    { new: true }
+  );
+
+  if (!post) throw new ApiError(500, "Updating post failed");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, post, "Post updated successfully"));
+});
+
+// Async handler to delete a post owned by the current user
+const deletePost = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+
+  // The post was loaded and its ownership checked by verifyOwnership
+  const post = req.resource;
+
+  // Delete the post, its reactions and its image in parallel
+  await Promise.all([
+    Post.findByIdAndDelete(postId),
+    Like.deleteMany({ post: postId }),
+    deleteMedia(post.image?.fileId, post_upOptions),
+  ]);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, null, "Post deleted successfully"));
+});
+
+export { createPost, getUserPosts, updatePost, deletePost };
@@ -0,0 +1,153 @@
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
+import { isValidObjectId } from "mongoose";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getStorageDriver } from "../utils/storage/index.js";
+import { resolveLocalFile } from "../utils/storage/local.driver.js";
+import { findWatchableVideo } from "../utils/videoAccess.js";
+import { STREAM_CACHE_MAX_AGE } from "../constants.js";
+
+const CONTENT_TYPES = {
+  ".mp4": "video/mp4",
+  ".m4v": "video/mp4",
+  ".mov": "video/quicktime",
+  ".webm": "video/webm",
+  ".mkv": "video/x-matroska",
+  ".m3u8": "application/vnd.apple.mpegurl",
+  ".ts": "video/mp2t",
+};
+
+// HLS files are only ever the playlists and segments written by transcodeToHls
+const HLS_FILE_NAME_PATTERN = /^[\w-]+\.(m3u8|ts)$/;
+
+// Load a video that the current user is allowed to watch
+const findStreamableVideo = async (req) => {
+  const { videoId } = req.params;
+
+  // Check if videoId is a valid MongoDB ObjectId
+  if (!isValidObjectId(videoId)) throw new ApiError(400, "Invalid VideoID");
+
+  // Unpublished videos are only streamed to their owner
+  const video = await findWatchableVideo(videoId, req.user?._id);
+
+  if (video.processingStatus !== "ready") {
+    throw new ApiError(409, "Video is still processing");
+  }
+
+  return video;
+};
+
+// Weak ETag from size and modification time, same idea as express.static
+const getETag = (stats) =>
+  `W/"${stats.size.toString(16)}-${stats.mtimeMs.toString(16)}"`;
+
+// Send a local file, honoring Range and If-None-Match
+const sendFile = async (req, res, filePath, { isPublic }) => {
+  let stats;
+  try {
+    stats = await fs.promises.stat(filePath);
+  } catch (error) {
+    throw new ApiError(404, "Video file not found");
+  }
+
+  const etag = getETag(stats);
+  res.set({
+    "Accept-Ranges": "bytes",
+    ETag: etag,
+    "Last-Modified": stats.mtime.toUTCString(),
+    // Unpublished videos must not end up in shared caches, and published ones are only kept
+    // briefly, since the video can be unpublished or deleted at any time
+    "Cache-Control": isPublic
+      ? `public, max-age=${STREAM_CACHE_MAX_AGE}, must-revalidate`
+      : "private, no-cache",
+  });
+
+  if (req.header("If-None-Match") === etag) {
+    return res.status(304).end();
+  }
+
+  let start = 0;
+  let end = stats.size - 1;
+
+  if (req.header("Range")) {
+    // Multiple ranges aren't supported, the first one is served
+    const ranges = req.range(stats.size, { combine: true });
+
+    if (ranges === -1) {
+      res.set("Content-Range", `bytes */${stats.size}`);
+      throw new ApiError(416, "Requested range not satisfiable");
+    }
+
+    // A malformed Range header is ignored and the whole file is sent
+    if (ranges !== -2 && ranges.type === "bytes") {
+      ({ start, end } = ranges[0]);
+      res.status(206);
+      res.set("Content-Range", `bytes ${start}-${end}/${stats.size}`);
+    }
+  }
+
+  res.set(
+    "Content-Type",
+    CONTENT_TYPES[path.extname(filePath).toLowerCase()] ||
+      "application/octet-stream"
+  );
+  res.set("Content-Length", String(end - start + 1));
+
+  if (req.method === "HEAD") return res.end();
+
+  // pipeline closes the file when the player aborts the request, which happens on every seek
+  try {
+    await pipeline(fs.createReadStream(filePath, { start, end }), res);
+  } catch (error) {
+    // The headers are already sent, so an error can only cut the response short
+    if (error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+      console.error("Error streaming video:", error);
+    }
+    res.destroy();
+  }
+};
+
+// Async handler to stream the original video file
+const streamVideo = asyncHandler(async (req, res) => {
+  const video = await findStreamableVideo(req);
+
+  // Media outside of local storage is already served by its own CDN, and videos from before
+  // the job queue only have the url they were uploaded to
+  if (getStorageDriver().name !== "local" || !video.video?.fileId) {
+    return res.redirect(video.video.url);
+  }
+
+  await sendFile(req, res, resolveLocalFile(video.video.fileId), {
+    isPublic: video.isPublished,
+  });
+});
+
+// Async handler to stream an HLS playlist or segment. The master playlist refers to the
+// renditions by relative name, so players only need the url of /stream/:videoId/hls/master.m3u8
+const streamHlsFile = asyncHandler(async (req, res) => {
+  const { fileName } = req.params;
+
+  if (!HLS_FILE_NAME_PATTERN.test(fileName)) {
+    throw new ApiError(400, "Invalid HLS file name");
+  }
+
+  const video = await findStreamableVideo(req);
+
+  // Check if the video was transcoded to HLS
+  if (!video.hls?.fileId) throw new ApiError(404, "Video has no HLS stream");
+
+  if (getStorageDriver().name !== "local") {
+    return res.redirect(video.hls.url.replace(/[^/]*$/, fileName));
+  }
+
+  await sendFile(
+    req,
+    res,
+    resolveLocalFile(path.posix.join(video.hls.fileId, fileName)),
+    { isPublic: video.isPublished }
+  );
+});
+
+export { streamVideo, streamHlsFile };
@@ -0,0 +1,382 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { Subcription } from "../models/subcription.model.js";
+import { User } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { streamUrlFields } from "../utils/streamUrls.js";
+
+// Feed cursors point at the last video of a page. Its ID breaks ties between videos published at the same time.
+const encodeFeedCursor = (video) =>
+  Buffer.from(
+    JSON.stringify({ publishedAt: video.publishedAt, _id: video._id })
+  ).toString("base64url");
+
+const decodeFeedCursor = (cursor) => {
+  try {
+    const { publishedAt, _id } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    const date = new Date(publishedAt);
+
+    if (!isValidObjectId(_id) || Number.isNaN(date.getTime())) {
+      throw new Error("Invalid cursor");
+    }
+    return { publishedAt: date, _id: new mongoose.Types.ObjectId(_id) };
+  } catch {
+    throw new ApiError(400, "Invalid cursor");
+  }
+};
+
+// Published videos of the channels the user is subscribed to
+const getFeedMatch = async (userId) => {
+  const channelIds = await Subcription.distinct("channel", {
+    subscriber: userId,
+  });
+  return { owner: { $in: channelIds }, isPublished: true };
+};
+
+// Videos published since the feed was last opened, every video counts when it never was
+const countNewFeedVideos = (feedMatch, lastVisitedAt) =>
+  Video.countDocuments({
+    ...feedMatch,
+    ...(lastVisitedAt && { publishedAt: { $gt: lastVisitedAt } }),
+  });
+
+// Async handler to subscribe to or unsubscribe from a channel
+const toggleSubscription = asyncHandler(async (req, res) => {
+  const { channelId } = req.params;
+
+  // Check if channelId is valid
+  if (!isValidObjectId(channelId)) throw new ApiError(400, "Invalid channelId");
+
+  // Users can't subscribe to their own channel
+  if (channelId === req.user?._id.toString()) {
+    throw new ApiError(400, "You can't subscribe to your own channel");
+  }
+
+  // Find the channel by ID
+  const channel = await User.findById(channelId);
+  if (!channel) throw new ApiError(404, "Channel not found");
+
+  const filter = { subscriber: req.user?._id, channel: channel._id };
+
+  // Removing first means repeated requests can't leave duplicate subscriptions behind
+  const existingSubscription = await Subcription.findOneAndDelete(filter);
+
+  if (!existingSubscription) {
+    try {
+      await Subcription.create(filter);
+    } catch (error) {
+      // A concurrent request already subscribed, the unique index rejected this one
+      if (error?.code !== 11000) throw error;
+    }
+  }
+
+  const subscribersCount = await Subcription.countDocuments({
+    channel: channel._id,
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { isSubscribed: !existingSubscription, subscribersCount },
+        existingSubscription
+          ? "Unsubscribed successfully"
+          : "Subscribed successfully"
+      )
+    );
+});
+
+// Async handler to get the subscribers of a channel with pagination
+const getUserChannelSubscribers = asyncHandler(async (req, res) => {
+  const { channelId } = req.params;
+  // Query parameters are validated and coerced by getUserChannelSubscribersSchema
+  const { page, limit } = req.query;
+
+  // Check if channelId is valid
+  if (!isValidObjectId(channelId)) throw new ApiError(400, "Invalid channelId");
+
+  // Aggregate query to get subscribers, most recent first
+  const subscribersAggregate = Subcription.aggregate([
+    {
+      $match: {
+        channel: new mongoose.Types.ObjectId(channelId),
+      },
+    },
+    {
+      $sort: {
+        createdAt: -1,
+      },
+    },
+    {
+      // Lookup stage to get subscriber details
+      $lookup: {
+        from: "users",
+        localField: "subscriber",
+        foreignField: "_id",
+        as: "subscriber",
+        pipeline: [
+          {
+            // Lookup stage to count the subscriber's own subscribers
+            $lookup: {
+              from: "subcriptions",
+              localField: "_id",
+              foreignField: "channel",
+              as: "subscribers",
+            },
+          },
+          {
+            $addFields: {
+              subscribersCount: {
+                $size: "$subscribers",
+              },
+            },
+          },
+          {
+            // Project only the required fields for the subscriber
+            $project: {
+              username: 1,
+              fullName: 1,
+              avatar: 1,
+              subscribersCount: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      $unwind: "$subscriber",
+    },
+    {
+      $project: {
+        _id: 0,
+        subscriber: 1,
+        subscribedAt: "$createdAt",
+      },
+    },
+  ]);
+
+  // Define pagination options
+  const options = { page, limit };
+
+  // Execute the aggregation with pagination
+  const subscribers = await Subcription.aggregatePaginate(
+    subscribersAggregate,
+    options
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, subscribers, "Subscribers fetched successfully")
+    );
+});
+
+// Async handler to get the channels the current user is subscribed to with pagination
+const getSubscribedChannels = asyncHandler(async (req, res) => {
+  // Query parameters are validated and coerced by getSubscribedChannelsSchema
+  const { page, limit } = req.query;
+
+  // Aggregate query to get subscribed channels, most recent first
+  const channelsAggregate = Subcription.aggregate([
+    {
+      $match: {
+        subscriber: new mongoose.Types.ObjectId(req.user?._id),
+      },
+    },
+    {
+      $sort: {
+        createdAt: -1,
+      },
+    },
+    {
+      // Lookup stage to get channel details
+      $lookup: {
+        from: "users",
+        localField: "channel",
+        foreignField: "_id",
+        as: "channel",
+        pipeline: [
+          {
+            // Lookup stage to count the channel's subscribers
+            $lookup: {
+              from: "subcriptions",
+              localField: "_id",
+              foreignField: "channel",
+              as: "subscribers",
+            },
+          },
+          {
+            $addFields: {
+              subscribersCount: {
+                $size: "$subscribers",
+              },
+            },
+          },
+          {
+            // Project only the required fields for the channel
+            $project: {
+              username: 1,
+              fullName: 1,
+              avatar: 1,
+              subscribersCount: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      $unwind: "$channel",
+    },
+    {
+      $project: {
+        _id: 0,
+        channel: 1,
+        subscribedAt: "$createdAt",
+      },
+    },
+  ]);
+
+  // Define pagination options
+  const options = { page, limit };
+
+  // Execute the aggregation with pagination
+  const channels = await Subcription.aggregatePaginate(
+    channelsAggregate,
+    options
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, channels, "Subscribed channels fetched successfully")
+    );
+});
+
+// Async handler to get the newest videos of the channels the current user is subscribed to.
+// Pages are cursor based so videos published while scrolling don't shift the next page.
+const getSubscriptionFeed = asyncHandler(async (req, res) => {
+  // Query parameters are validated and coerced by getSubscriptionFeedSchema
+  const { cursor, limit } = req.query;
+
+  const feedMatch = await getFeedMatch(req.user?._id);
+
+  // Continue after the last video of the previous page
+  const after = cursor && decodeFeedCursor(cursor);
+
+  const feedVideos = await Video.aggregate([
+    {
+      $match: {
+        ...feedMatch,
+        ...(after && {
+          $or: [
+            { publishedAt: { $lt: after.publishedAt } },
+            { publishedAt: after.publishedAt, _id: { $lt: after._id } },
+          ],
+        }),
+      },
+    },
+    {
+      $sort: { publishedAt: -1, _id: -1 },
+    },
+    {
+      // One extra video tells whether there is a next page
+      $limit: limit + 1,
+    },
+    {
+      // Lookup stage to get owner details
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "ownerDetails",
+        pipeline: [
+          {
+            $project: {
+              username: 1,
+              fullName: 1,
+              "avatar.url": 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      $unwind: "$ownerDetails",
+    },
+    {
+      $project: {
+        title: 1,
+        description: 1,
+        "thumbnail.url": 1,
+        ...streamUrlFields(),
+        duration: 1,
+        views: 1,
+        tags: 1,
+        category: 1,
+        owner: 1,
+        ownerDetails: 1,
+        createdAt: 1,
+        publishedAt: 1,
+      },
+    },
+  ]);
+
+  const hasNextPage = feedVideos.length > limit;
+  const videos = feedVideos.slice(0, limit);
+
+  // Opening the first page counts as a visit, loading more pages doesn't
+  const lastVisitedAt = req.user?.feedLastVisitedAt || null;
+  const newVideosCount = await countNewFeedVideos(feedMatch, lastVisitedAt);
+
+  if (!cursor) {
+    await User.findByIdAndUpdate(req.user?._id, {
+      $set: { feedLastVisitedAt: new Date() },
+    });
+  }
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        videos,
+        nextCursor: hasNextPage ? encodeFeedCursor(videos.at(-1)) : null,
+        hasNextPage,
+        newVideosCount,
+        lastVisitedAt,
+      },
+      "Subscription feed fetched successfully"
+    )
+  );
+});
+
+// Async handler to count the feed videos published since the last visit, without counting as a visit
+const getNewFeedVideosCount = asyncHandler(async (req, res) => {
+  const lastVisitedAt = req.user?.feedLastVisitedAt || null;
+  const newVideosCount = await countNewFeedVideos(
+    await getFeedMatch(req.user?._id),
+    lastVisitedAt
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { newVideosCount, lastVisitedAt },
+        "New feed videos count fetched successfully"
+      )
+    );
+});
+
+export {
+  toggleSubscription,
+  getUserChannelSubscribers,
+  getSubscribedChannels,
+  getSubscriptionFeed,
+  getNewFeedVideosCount,
+};
@@ -0,0 +1,267 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { UploadSession } from "../models/uploadSession.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { queueVideoProcessing } from "../utils/videoPublisher.js";
+import { getUploadTempPath, mergeRanges } from "../utils/uploadSessions.js";
+import { getVideoLimits } from "../utils/fileProcessing.js";
+import { UPLOAD_SESSION_TTL } from "../constants.js";
+
+const CONTENT_RANGE_PATTERN = /^bytes (\d+)-(\d+)\/(\d+)$/;
+
+// Summarizes what the client still has to send
+const describeSession = (session) => {
+  const receivedRanges = mergeRanges(session.receivedRanges);
+  const bytesReceived = receivedRanges.reduce(
+    (total, range) => total + range.end - range.start,
+    0
+  );
+
+  return {
+    uploadId: session._id,
+    fileName: session.fileName,
+    size: session.size,
+    status: session.status,
+    receivedRanges,
+    bytesReceived,
+    isComplete: bytesReceived === session.size,
+    video: session.video,
+    expiresAt: session.expiresAt,
+  };
+};
+
+// Sessions can only take chunks while active and not yet expired
+const assertSessionActive = (session) => {
+  if (session.expiresAt < new Date()) {
+    throw new ApiError(410, "Upload session has expired");
+  }
+
+  if (session.status !== "active") {
+    throw new ApiError(409, `Upload session is already ${session.status}`);
+  }
+};
+
+// Hash the assembled file to compare it with the checksum sent when the upload started
+const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")))
+      .on("error", reject);
+  });
+
+// Async handler to start a resumable upload
+const initiateUpload = asyncHandler(async (req, res) => {
+  const { fileName, mimeType, size, checksum } = req.body;
+
+  // Check if the file is a video
+  if (!mimeType.startsWith("video/")) {
+    throw new ApiError(400, "Only video files can be uploaded");
+  }
+
+  // Check if the file is within the size limit
+  const { maxSize } = getVideoLimits();
+  if (size > maxSize) {
+    throw new ApiError(413, `Video must be at most ${maxSize} bytes`);
+  }
+
+  const session = await UploadSession.create({
+    owner: req.user?._id,
+    fileName,
+    mimeType,
+    size,
+    checksum: checksum.toLowerCase(),
+    expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL),
+  });
+
+  // Create the partial file at its final size so chunks can be written at any offset
+  const tempPath = getUploadTempPath(session._id);
+  await fs.promises.writeFile(tempPath, "");
+  await fs.promises.truncate(tempPath, size);
+
+  return res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        describeSession(session),
+        "Upload session created successfully"
+      )
+    );
+});
+
+// Async handler to write one chunk of a resumable upload
+const uploadChunk = asyncHandler(async (req, res) => {
+  const { uploadId } = req.params;
+
+  // The session was loaded and its ownership checked by verifyOwnership
+  const session = req.resource;
+  assertSessionActive(session);
+
+  const chunk = req.body;
+  if (!Buffer.isBuffer(chunk) || !chunk.length) {
+    throw new ApiError(400, "Chunk body is empty");
+  }
+
+  // The offset comes from Content-Range when present, otherwise from ?offset
+  let start = req.query.offset;
+  const contentRange = req.header("Content-Range");
+
+  if (contentRange) {
+    const match = CONTENT_RANGE_PATTERN.exec(contentRange);
+    if (!match) throw new ApiError(400, "Invalid Content-Range header");
+
+    const [, rangeStart, rangeEnd, total] = match.map(Number);
+    if (total !== session.size || rangeEnd - rangeStart + 1 !== chunk.length) {
+      throw new ApiError(400, "Content-Range doesn't match the chunk");
+    }
+    start = rangeStart;
+  }
+
+  if (start === undefined) {
+    throw new ApiError(400, "Content-Range header or offset is required");
+  }
+
+  const end = start + chunk.length;
+  if (end > session.size) {
+    throw new ApiError(416, "Chunk goes past the end of the file");
+  }
+
+  // Write the chunk at its offset in the partial file
+  const fileHandle = await fs.promises.open(getUploadTempPath(uploadId), "r+");
+  try {
+    await fileHandle.write(chunk, 0, chunk.length, start);
+  } finally {
+    await fileHandle.close();
+  }
+
+  // $push keeps concurrent chunks from overwriting each other's ranges
+  const updatedSession = await UploadSession.findByIdAndUpdate(
+    uploadId,
+    {
+      $push: { receivedRanges: { start, end } },
+      $set: { expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL) },
+    },
+    { new: true }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        describeSession(updatedSession),
+        "Chunk uploaded successfully"
+      )
+    );
+});
+
+// Async handler to get the received ranges of a resumable upload
+const getUploadStatus = asyncHandler(async (req, res) => {
+  // The session was loaded and its ownership checked by verifyOwnership
+  const session = req.resource;
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        describeSession(session),
+        "Upload status fetched successfully"
+      )
+    );
+});
+
+// Async handler to turn a completed upload into an unpublished video
+const finalizeUpload = asyncHandler(async (req, res) => {
+  const { uploadId } = req.params;
+  const { title, description, tags, category } = req.body;
+
+  // The session was loaded and its ownership checked by verifyOwnership
+  const session = req.resource;
+  assertSessionActive(session);
+
+  // Optional, the worker picks a frame of the video when there is none
+  const thumbnailLocalPath = req.file?.path;
+
+  if (!describeSession(session).isComplete) {
+    throw new ApiError(400, "Upload is incomplete");
+  }
+
+  // Only one finalize request can move the session out of "active"
+  const lockedSession = await UploadSession.findOneAndUpdate(
+    { _id: uploadId, status: "active" },
+    {
+      $set: {
+        status: "finalizing",
+        expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL),
+      },
+    },
+    { new: true }
+  );
+  if (!lockedSession) {
+    throw new ApiError(409, "Upload is already being finalized");
+  }
+
+  const tempPath = getUploadTempPath(uploadId);
+
+  // Give the assembled file its original extension before handing it to the storage
+  const extension = path.extname(session.fileName).toLowerCase();
+  const videoLocalPath = tempPath.replace(/\.part$/, extension);
+
+  try {
+    // A corrupted upload has to be sent again from the start
+    const checksum = await hashFile(tempPath);
+    if (checksum !== session.checksum) {
+      await UploadSession.findByIdAndUpdate(uploadId, {
+        $set: { status: "active", receivedRanges: [] },
+      });
+      throw new ApiError(422, "Checksum doesn't match the uploaded file");
+    }
+
+    await fs.promises.rename(tempPath, videoLocalPath);
+  } catch (error) {
+    // The partial file is still in place, so the session is unlocked and finalize can be retried
+    await UploadSession.updateOne(
+      { _id: uploadId, status: "finalizing" },
+      { $set: { status: "active" } }
+    );
+    throw error;
+  }
+
+  let video;
+  try {
+    video = await queueVideoProcessing({
+      videoLocalPath,
+      thumbnailLocalPath,
+      title,
+      description,
+      tags,
+      category,
+      isPublished: false,
+      owner: req.user?._id,
+    });
+  } catch (error) {
+    // The assembled file is gone once queueing was attempted, so the session can't be retried
+    await Promise.all([
+      UploadSession.findByIdAndDelete(uploadId),
+      fs.promises.rm(videoLocalPath, { force: true }),
+    ]);
+    throw error;
+  }
+
+  await UploadSession.findByIdAndUpdate(uploadId, {
+    $set: { status: "completed", video: video._id },
+  });
+
+  // The video is stored by the job worker, its progress can be polled on /videos/processing/:videoId
+  return res
+    .status(202)
+    .json(new ApiResponse(202, video, "Upload finalized, video is processing"));
+});
+
+export { initiateUpload, uploadChunk, getUploadStatus, finalizeUpload };
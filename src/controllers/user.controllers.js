@@ -1,8 +1,10 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { User } from "../models/user.model.js";
-import { uploadOnCloudinary } from "../utils/cloudinary.js";
+import { uploadMedia, deleteMedia } from "../utils/storage/index.js";
+import { avatar_upOptions, coverImg_upOptions } from "../constants.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
+import { toSearchTerms } from "../utils/search/terms.js";
 import jwt from "jsonwebtoken";
 
 const generateAccessAndRefreshTokens = async (userId) => {
@@ -29,12 +31,7 @@ const registerUser = asyncHandler(async (req, res) => {
   const { fullName, email, username, password } = req.body;
   // console.log("email", email);
 
-  // Validation - not empty
-  if (
-    [fullName, email, username, password].some((field) => field?.trim() === "")
-  ) {
-    throw new ApiError(400, "All fields are required");
-  }
+  // Fields are validated by registerUserSchema before reaching here
 
   // Check if user already exists: username, email
   const existedUser = await User.findOne({
@@ -60,9 +57,9 @@ const registerUser = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Avatar file is required");
   }
 
-  // Upload on Cloudinary and check for avatar
-  const avatar = await uploadOnCloudinary(avatarLocalpath);
-  const coverImage = await uploadOnCloudinary(coverImageLocalpath);
+  // Upload to the media storage and check for avatar
+  const avatar = await uploadMedia(avatarLocalpath, avatar_upOptions);
+  const coverImage = await uploadMedia(coverImageLocalpath, coverImg_upOptions);
 
   if (!avatar) {
     throw new ApiError(400, "Avatar file is required");
@@ -71,8 +68,15 @@ const registerUser = asyncHandler(async (req, res) => {
   // Create user object - create entry in DB
   const user = await User.create({
     fullName,
-    avatar: avatar.url,
-    coverImage: coverImage?.url || "",
+    fullNameTerms: toSearchTerms(fullName),
+    avatar: {
+      fileId: avatar.fileId,
+      url: avatar.url,
+    },
+    coverImage: {
+      fileId: coverImage?.fileId,
+      url: coverImage?.url || "",
+    },
     email,
     password,
     username: username.toLowerCase(),
@@ -229,8 +233,8 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
 const changeCurrentPassword = asyncHandler(async (req, res) => {
   const { oldPassword, newPassword, confirmPassword } = req.body;
 
-  if (!newPassword === confirmPassword) {
-    new ApiError(400, "Confirm password is not equal ro new password");
+  if (newPassword !== confirmPassword) {
+    throw new ApiError(400, "Confirm password is not equal to new password");
   }
 
   const user = await User.findById(req.user?._id);
@@ -255,10 +259,17 @@ const getCurrentUser = asyncHandler(async (req, res) => {
 });
 
 const updateAccountDetails = asyncHandler(async (req, res) => {
-  const { username, email } = req.body;
+  // Fields are validated by updateAccountSchema before reaching here
+  const { fullName, email } = req.body;
 
-  if (!username || email) {
-    throw new ApiError(400, "All fields are required");
+  // Check if the email is already taken by another user
+  const existedUser = await User.findOne({
+    email,
+    _id: { $ne: req.user?._id },
+  });
+
+  if (existedUser) {
+    throw new ApiError(409, "User with this email already exists");
   }
 
   const user = await User.findByIdAndUpdate(
@@ -266,6 +277,7 @@ const updateAccountDetails = asyncHandler(async (req, res) => {
     {
       $set: {
         fullName: fullName,
+        fullNameTerms: toSearchTerms(fullName),
         email: email,
       },
     },
@@ -283,9 +295,9 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Avatar file is missing");
   }
 
-  const avatar = uploadOnCloudinary(avatarLocalPath);
+  const avatar = await uploadMedia(avatarLocalPath, avatar_upOptions);
 
-  if (!avatar.url) {
+  if (!avatar?.url) {
     throw new ApiError(400, "Error while uploading on avatar");
   }
 
@@ -293,12 +305,18 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
     req.user?._id,
     {
       $set: {
-        avatar: avatar.url,
+        avatar: {
+          fileId: avatar.fileId,
+          url: avatar.url,
+        },
       },
     },
     { new: true }
   ).select("-password");
 
+  // Delete the old avatar once the new one is saved
+  await deleteMedia(req.user?.avatar?.fileId, avatar_upOptions);
+
   return res
     .status(200)
     .json(new ApiResponse(200, user, "Avatar image updated succesfully "));
@@ -311,9 +329,9 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Cover image file is missing");
   }
 
-  const coverImage = uploadOnCloudinary(coverImageLocalPath);
+  const coverImage = await uploadMedia(coverImageLocalPath, coverImg_upOptions);
 
-  if (!coverImage.url) {
+  if (!coverImage?.url) {
     throw new ApiError(400, "Error while uploading on coverImage");
   }
 
@@ -321,12 +339,18 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
     req.user?._id,
     {
       $set: {
-        coverImage: coverImage.url,
+        coverImage: {
+          fileId: coverImage.fileId,
+          url: coverImage.url,
+        },
       },
     },
     { new: true }
   ).select("-password");
 
+  // Delete the old cover image once the new one is saved
+  await deleteMedia(req.user?.coverImage?.fileId, coverImg_upOptions);
+
   return res
     .status(200)
     .json(new ApiResponse(200, user, "Cover image updated succesfully "));
@@ -347,15 +371,15 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
     },
     {
       $lookup: {
-        from: "subcription",
+        from: "subcriptions",
         localField: "_id",
         foreignField: "channel",
-        as: "subcription",
+        as: "subscribers",
       },
     },
     {
       $lookup: {
-        from: "subcription",
+        from: "subcriptions",
         localField: "_id",
         foreignField: "subscriber",
         as: "subscribedTo",
@@ -367,11 +391,11 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
           $size: "$subscribers",
         },
         channelSubscribedToCount: {
-          $size: "subscribedTo",
+          $size: "$subscribedTo",
         },
         isSubscribed: {
           $cond: {
-            if: { $in: [req.user?._id, "subscribers.subscriber"] },
+            if: { $in: [req.user?._id, "$subscribers.subscriber"] },
             then: true,
             else: false,
           },
@@ -401,76 +425,6 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, channel[0], "User channel fetched succesfully"));
 });
 
-const getWatchHistory = asyncHandler(async (req, res) => {
-  try {
-    const watchHistory = await User.aggregate([
-      {
-        $match: {
-          _id: new mongoose.Types.ObjectId(req.user._id),
-        },
-      },
-      {
-        $unwind: "$watchHistory",
-      },
-      {
-        $sort: {
-          "watchHistory.watchedAt": -1,
-        },
-      },
-      {
-        $lookup: {
-          from: "videos",
-          localField: "watchHistory.video",
-          foreignField: "_id",
-          as: "video",
-        },
-      },
-      {
-        $unwind: "$video",
-      },
-      {
-        $lookup: {
-          from: "users",
-          localField: "video.owner",
-          foreignField: "_id",
-          as: "ownerDetails",
-          pipeline: [
-            {
-              $project: {
-                username: 1,
-                fullName: 1,
-                avatar: 1,
-              },
-            },
-          ],
-        },
-      },
-      {
-        $addFields: {
-          "video.ownerDetails": {
-            $first: "$ownerDetails",
-          },
-          "video.watchedAt": "$watchHistory.watchedAt",
-        },
-      },
-      {
-        $project: {
-          _id: 0,
-          video: 1,
-        },
-      },
-    ]);
-
-    return res
-      .status(200)
-      .json(
-        new ApiResponse(200, watchHistory, "Watch history fetched successfully")
-      );
-  } catch (error) {
-    throw new ApiError(501, "Fetching watch history failed");
-  }
-});
-
 export {
   registerUser,
   loginUser,
@@ -482,5 +436,4 @@ export {
   updateUserAvatar,
   updateUserCoverImage,
   getUserChannelProfile,
-  getWatchHistory,
 };
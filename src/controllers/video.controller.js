@@ -1,176 +1,359 @@
 import mongoose, { isValidObjectId } from "mongoose";
 import { Video } from "../models/video.model.js";
-import { User } from "../models/user.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
-import { video_upOptions, thumbnail_upOptions } from "../constants.js"
+import {
+  video_upOptions,
+  thumbnail_upOptions,
+  hls_upOptions,
+  preview_upOptions,
+  VIDEO_CATEGORIES,
+} from "../constants.js"
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { Comment } from "../models/comment.model.js";
 import { Like } from "../models/like.model.js";
+import { countReactionExpr, userReactionExpr } from "../utils/reactions.js";
 
 import {
-  uploadOnCloudinary,
-  deleteFromCloudinary
-} from "../utils/cloudinary.js"
+  uploadMedia,
+  deleteMedia,
+  deleteMediaDirectory,
+} from "../utils/storage/index.js";
+import { queueVideoProcessing } from "../utils/videoPublisher.js";
+import { buildVideoSearchPipeline } from "../utils/search/index.js";
+import { buildRecommendationPipeline } from "../utils/recommendations.js";
+import { normalizeTag } from "../utils/tags.js";
+import { toSearchTerms } from "../utils/search/terms.js";
+import { streamUrlFields } from "../utils/streamUrls.js";
+import { findWatchableVideo } from "../utils/videoAccess.js";
+import {
+  findSearchSuggestions,
+  recordSearchQuery,
+} from "../utils/search/suggestions.js";
+import { Job } from "../models/job.model.js";
+import { WatchHistory } from "../models/watchHistory.model.js";
+import { VideoView } from "../models/videoView.model.js";
+import { countView, recordWatch } from "../utils/watchHistory.js";
+import { Trending } from "../models/trending.model.js";
+
+// Whether a thumbnail file is one of the frames extracted by the worker, those are kept until the video is deleted
+const isThumbnailCandidate = (video, fileId) =>
+  Boolean(fileId) &&
+  (video?.thumbnailCandidates || []).some(
+    (candidate) => candidate.fileId === fileId
+  );
 
 // Define an asynchronous route handler to get all videos
 const getAllVideos = asyncHandler(async (req, res) => {
-  // Destructure query parameters from the request, providing default values if they are not specified
-  const { page = 1, limit = 10, query, sortBy, sortType, userId } = req.query;
+  // Query parameters are validated and coerced by getAllVideosSchema
+  const {
+    page = 1,
+    limit = 10,
+    query,
+    sortBy,
+    sortType,
+    userId,
+    minDuration,
+    maxDuration,
+    uploadedAfter,
+    uploadedBefore,
+    tag,
+    category,
+  } = req.query;
+
+  // Build the search, filter and sort stages with the configured search backend
+  const pipeline = buildVideoSearchPipeline({
+    query,
+    userId,
+    minDuration,
+    maxDuration,
+    uploadedAfter,
+    uploadedBefore,
+    tag: tag && normalizeTag(tag),
+    category,
+    sortBy,
+    sortType,
+  });
 
-  // Initialize an empty pipeline array to hold aggregation stages for MongoDB
-  const pipeline = [];
-  
-  // If a search query is provided, add a $search stage to the pipeline
-  // This stage uses a pre-created search index "search-videos" on the "videos" collection
+  // Log the search for suggestions without making the request wait for it
   if (query) {
-    pipeline.push({
-      $search: {
-        index: "search-videos",
-        text: {
-          query: query, // The search term
-          path: ["title", "description"], // Fields to search in
-        },
-      },
-    });
+    recordSearchQuery(query).catch((error) =>
+      console.log("Failed to record search query", error)
+    );
   }
-  
-  // If a userId is provided, validate it and add a $match stage to filter by owner
-  if (userId) {
-    // Check if the userId is a valid MongoDB ObjectId
-    if (!isValidObjectId(userId)) {
-      throw new ApiError(400, "Invalid userId"); // Throw an error if invalid
-    }
 
-    // Add a $match stage to filter videos by the owner's userId
-    pipeline.push({
+  // Create an aggregation object using the pipeline
+  const videoAggregate = Video.aggregate(pipeline);
+
+  // Define pagination options
+  const options = {
+    page: parseInt(page, 10), 
+    limit: parseInt(limit, 10), 
+  };
+
+  // Execute the aggregation with pagination
+  const videos = await Video.aggregatePaginate(videoAggregate, options);
+
+  // Send the response with the fetched videos
+  return res
+    .status(200) // HTTP status 200 for success
+    .json(new ApiResponse(200, videos, "Videos fetched successfully")); // Response body
+});
+
+// Async handler to get type-ahead suggestions for the search box
+const getSearchSuggestions = asyncHandler(async (req, res) => {
+  // Query parameters are validated and coerced by searchSuggestionsSchema
+  const { q, limit } = req.query;
+
+  const suggestions = await findSearchSuggestions(q, limit);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, suggestions, "Suggestions fetched successfully")
+    );
+});
+
+// Async handler to browse published videos with a tag
+const getVideosByTag = asyncHandler(async (req, res) => {
+  const { tag } = req.params;
+
+  // Query parameters are validated and coerced by getVideosByTagSchema
+  const { page, limit, sortBy, sortType } = req.query;
+
+  // Tags are stored normalized, so the tag from the url is normalized the same way
+  const videoAggregate = Video.aggregate(
+    buildVideoSearchPipeline({ tag: normalizeTag(tag), sortBy, sortType })
+  );
+  const videos = await Video.aggregatePaginate(videoAggregate, { page, limit });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Videos fetched successfully"));
+});
+
+// Async handler to browse published videos in a category
+const getVideosByCategory = asyncHandler(async (req, res) => {
+  const { category } = req.params;
+
+  // Query parameters are validated and coerced by getVideosByCategorySchema
+  const { page, limit, sortBy, sortType } = req.query;
+
+  const videoAggregate = Video.aggregate(
+    buildVideoSearchPipeline({ category, sortBy, sortType })
+  );
+  const videos = await Video.aggregatePaginate(videoAggregate, { page, limit });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Videos fetched successfully"));
+});
+
+// Async handler to list the videos gaining views, likes and comments the fastest.
+// Reads the snapshot kept up to date by the trending job instead of counting activity per request.
+const getTrendingVideos = asyncHandler(async (req, res) => {
+  // Query parameters are validated and coerced by getTrendingVideosSchema
+  const { page, limit, category } = req.query;
+
+  const trendingAggregate = Trending.aggregate([
+    {
       $match: {
-        owner: new mongoose.Types.ObjectId(userId),
+        score: { $gt: 0 },
+        ...(category && { category }),
       },
-    });
-  }
-  
-  // Always add a $match stage to filter videos that are published
-  pipeline.push({ $match: { isPublished: true } });
-
-  // Add a $sort stage to the pipeline based on sortBy and sortType parameters
-  // Default sorting is by creation date in descending order
-  if (sortBy && sortType) {
-    pipeline.push({
-      $sort: {
-        [sortBy]: sortType === "asc" ? 1 : -1, // 1 for ascending, -1 for descending
+    },
+    {
+      // Video ID breaks ties so pages don't overlap
+      $sort: { score: -1, video: 1 },
+    },
+    {
+      // Videos unpublished since the last run are left out until the snapshot drops them
+      $lookup: {
+        from: "videos",
+        localField: "video",
+        foreignField: "_id",
+        as: "video",
+        pipeline: [{ $match: { isPublished: true } }],
       },
-    });
-  } else {
-    pipeline.push({ $sort: { createdAt: -1 } }); // Default sorting
-  }
-
-  // Add stages to join the "users" collection and include the owner's details
-  pipeline.push(
+    },
+    {
+      $unwind: "$video",
+    },
     {
       $lookup: {
-        from: "users", // The collection to join with
-        localField: "owner", // Local field in the "videos" collection
-        foreignField: "_id", // Foreign field in the "users" collection
-        as: "ownerDetails", // Alias for the joined data
+        from: "users",
+        localField: "video.owner",
+        foreignField: "_id",
+        as: "ownerDetails",
         pipeline: [
           {
             $project: {
-              username: 1, // Include the username field
-              "avatar.url": 1, // Include the avatar URL field
+              username: 1,
+              fullName: 1,
+              "avatar.url": 1,
             },
           },
         ],
       },
     },
     {
-      $unwind: "$ownerDetails", // Unwind the joined data to deconstruct the array
-    }
-  );
+      $unwind: "$ownerDetails",
+    },
+    {
+      $project: {
+        _id: "$video._id",
+        title: "$video.title",
+        description: "$video.description",
+        "thumbnail.url": "$video.thumbnail.url",
+        ...streamUrlFields({ from: "video." }),
+        duration: "$video.duration",
+        views: "$video.views",
+        tags: "$video.tags",
+        category: "$video.category",
+        owner: "$video.owner",
+        ownerDetails: 1,
+        createdAt: "$video.createdAt",
+        trendingScore: "$score",
+      },
+    },
+  ]);
+  const videos = await Trending.aggregatePaginate(trendingAggregate, {
+    page,
+    limit,
+  });
 
-  // Create an aggregation object using the pipeline
-  const videoAggregate = Video.aggregate(pipeline);
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Trending videos fetched successfully"));
+});
 
-  // Define pagination options
-  const options = {
-    page: parseInt(page, 10), 
-    limit: parseInt(limit, 10), 
-  };
+// Async handler to list the tags used by the most published videos
+const getTopTags = asyncHandler(async (req, res) => {
+  // Query parameters are validated and coerced by getTopTagsSchema
+  const { limit, category } = req.query;
 
-  // Execute the aggregation with pagination
-  const videos = await Video.aggregatePaginate(videoAggregate, options);
+  const tags = await Video.aggregate([
+    {
+      $match: {
+        isPublished: true,
+        ...(category && { category }),
+      },
+    },
+    {
+      $unwind: "$tags",
+    },
+    {
+      $group: {
+        _id: "$tags",
+        videosCount: { $sum: 1 },
+      },
+    },
+    {
+      // Tag name breaks ties so the list is stable
+      $sort: { videosCount: -1, _id: 1 },
+    },
+    {
+      $limit: limit,
+    },
+    {
+      $project: { _id: 0, tag: "$_id", videosCount: 1 },
+    },
+  ]);
 
-  // Send the response with the fetched videos
   return res
-    .status(200) // HTTP status 200 for success
-    .json(new ApiResponse(200, videos, "Videos fetched successfully")); // Response body
+    .status(200)
+    .json(new ApiResponse(200, tags, "Top tags fetched successfully"));
+});
+
+// Async handler to list the categories with how many published videos each has
+const getVideoCategories = asyncHandler(async (req, res) => {
+  const counts = await Video.aggregate([
+    {
+      $match: { isPublished: true, category: { $in: VIDEO_CATEGORIES } },
+    },
+    {
+      $group: { _id: "$category", videosCount: { $sum: 1 } },
+    },
+  ]);
+
+  // Every category is listed, in the fixed order, even when it has no videos yet
+  const categories = VIDEO_CATEGORIES.map((category) => ({
+    category,
+    videosCount:
+      counts.find((count) => count._id === category)?.videosCount || 0,
+  }));
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, categories, "Categories fetched successfully"));
 });
 
 // This function is an async handler for an endpoint to publish a new video.
 
 const publishAVideo = asyncHandler(async (req, res) => {
-  // Extract title, description, and isPublished from the request body.
-  const { title, description, isPublished } = req.body;
-
-  // Check if any of the required fields are missing or empty.
-  // If any field is missing or empty, throw an error with a message.
-  if (
-    [title, description, isPublished].some(
-      (field) => field === undefined || field?.trim() === ""
-    )
-  ) {
-    throw new ApiError(400, "All fields are required");
-  }
+  // Extract title, description, tags, category and isPublished from the request body.
+  const { title, description, tags, category, isPublished } = req.body;
+
+  // Fields are validated, tags split into a list and isPublished coerced to a boolean by publishVideoSchema
 
   // Get the local path of the uploaded video file from the request.
-  const videoLocalPath = req.files?.video[0]?.path;
+  const videoLocalPath = req.files?.video?.[0]?.path;
 
   if (!videoLocalPath) throw new ApiError(401, "Video is required to publish");
 
   // Get the local path of the uploaded thumbnail file from the request.
-  const thumbnailLocalPath = req.files?.thumbnail[0]?.path;
-
-  if (!thumbnailLocalPath)
-    throw new ApiError(401, "Thumbnail is required to publish");
-
-  // Upload the video and thumbnail files to Cloudinary concurrently.
-  const [videoFile, thumbnailFile] = await Promise.all([
-    uploadOnCloudinary(videoLocalPath, video_upOptions),
-    uploadOnCloudinary(thumbnailLocalPath, thumbnail_upOptions),
-  ]);
-
-  // If either the video or thumbnail file fails to upload, throw an error with a message.
-  if (!videoFile || !thumbnailFile) {
-    let errorMessage = "";
-    if (!videoFile) errorMessage += "Failed to upload video. ";
-    if (!thumbnailFile) errorMessage += "Failed to upload thumbnail.";
-    throw new ApiError(500, errorMessage);
-  }
-
-  // Create a new video document in the database with the provided and uploaded data.
-  const video = await Video.create({
-    video: {
-      fileId: videoFile.public_id, // ID of the video file on Cloudinary
-      url: videoFile.playback_url, // URL of the video file
-    },
-    thumbnail: {
-      fileId: thumbnailFile.public_id, // ID of the thumbnail file on Cloudinary
-      url: thumbnailFile.secure_url, // URL of the thumbnail file
-    },
-    duration: videoFile.duration, 
-    title, 
-    description, 
-    isPublished, // Publication status of the video
-    owner: req.user._id, // ID of the user who uploaded the video
+  // It is optional, the worker picks a frame of the video when there is none.
+  const thumbnailLocalPath = req.files?.thumbnail?.[0]?.path;
+
+  // Create the video document and queue both files for the job worker.
+  const video = await queueVideoProcessing({
+    videoLocalPath,
+    thumbnailLocalPath,
+    title,
+    description,
+    tags,
+    category,
+    isPublished,
+    owner: req.user._id,
   });
 
-  // If creating the video document fails, throw an error with a message.
-  if (!video) throw new ApiError(500, "Failed to publish video");
-
-  // Send a response with the created video and a success message.
+  // Send a response with the queued video, its progress can be polled with getVideoProcessingStatus.
   return res
-    .status(201) // HTTP status 201 indicates resource creation.
-    .json(new ApiResponse(201, video, "Video published successfully")); // Response body
+    .status(202) // HTTP status 202 indicates the video is still being processed.
+    .json(new ApiResponse(202, video, "Video queued for processing")); // Response body
+});
+
+// Async handler to get the processing progress of a video owned by the current user
+const getVideoProcessingStatus = asyncHandler(async (req, res) => {
+  // The video was loaded and its ownership checked by verifyOwnership
+  const video = req.resource;
+
+  // Videos from before the job queue have no job
+  const job = video.processingJob
+    ? await Job.findById(video.processingJob)
+    : null;
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        videoId: video._id,
+        processingStatus: video.processingStatus,
+        processingError: video.processingError,
+        thumbnail: video.thumbnail?.url,
+        thumbnailCandidates: video.thumbnailCandidates.map(
+          (candidate) => candidate.url
+        ),
+        progress: video.processingStatus === "ready" ? 100 : job?.progress || 0,
+        attempts: job?.attempts || 0,
+        maxAttempts: job?.maxAttempts,
+        // Set while the job waits for a retry
+        nextAttemptAt:
+          job?.status === "queued" && job.attempts > 0 ? job.runAt : undefined,
+      },
+      "Video processing status fetched successfully"
+    )
+  );
 });
 
 // Async handler to get video details for guests by video ID
@@ -213,7 +396,7 @@ const getVideoByIdForGuest = asyncHandler(async (req, res) => {
           {
             // Nested lookup to get subscribers of the owner's channel
             $lookup: {
-              from: "subscriptions",
+              from: "subcriptions",
               localField: "_id",
               foreignField: "channel",
               as: "subscribers",
@@ -242,9 +425,7 @@ const getVideoByIdForGuest = asyncHandler(async (req, res) => {
     {
       // Add fields for likes count and simplify owner details
       $addFields: {
-        likesCount: {
-          $size: "$likes",
-        },
+        likesCount: countReactionExpr("$likes", "like"),
         owner: {
           $first: "$owner",
         },
@@ -254,7 +435,16 @@ const getVideoByIdForGuest = asyncHandler(async (req, res) => {
     {
       // Project only the required fields for the video
       $project: {
-        "video.url": 1,
+        // Players get the stream routes, the stored urls are dead links with the local driver
+        ...streamUrlFields(),
+        "renditions.name": 1,
+        "renditions.width": 1,
+        "renditions.height": 1,
+        "renditions.bandwidth": 1,
+        "preview.url": 1,
+        metadata: 1,
+        tags: 1,
+        category: 1,
         title: 1,
         description: 1,
         views: 1,
@@ -281,8 +471,8 @@ const getVideoById = asyncHandler(async (req, res) => {
   // Extract videoId from request parameters
   const { videoId } = req.params;
   
-  // Determine if the request is from a guest user
-  const isGuest = req.query.guest === "true";
+  // Determine if the request is from a guest user, coerced to a boolean by getVideoByIdSchema
+  const isGuest = req.query.guest;
 
   // Check if videoId is missing or empty
   if (!videoId?.trim()) throw new ApiError(400, "Video Id is missing");
@@ -318,7 +508,7 @@ const getVideoById = asyncHandler(async (req, res) => {
           {
             // Nested lookup to get subscribers of the owner's channel
             $lookup: {
-              from: "subscriptions",
+              from: "subcriptions",
               localField: "_id",
               foreignField: "channel",
               as: "subscribers",
@@ -361,33 +551,49 @@ const getVideoById = asyncHandler(async (req, res) => {
       },
     },
     {
-      // Add fields for likes count, simplify owner details, and determine if the user liked the video
+      // Add fields for reaction counts, simplify owner details, and determine the user's reaction
       $addFields: {
-        likesCount: {
-          $size: "$likes",
+        likesCount: countReactionExpr("$likes", "like"),
+        // Dislikes are only shown to the owner of the video
+        dislikesCount: {
+          $cond: {
+            if: { $in: [req.user?._id, "$owner._id"] },
+            then: countReactionExpr("$likes", "dislike"),
+            else: "$$REMOVE",
+          },
         },
         owner: {
           $first: "$owner",
         },
-        isLiked: {
+        userReaction: {
           $cond: {
             if: isGuest,
-            then: false,
-            else: {
-              $cond: {
-                if: { $in: [req.user?._id, "$likes.likedBy"] },
-                then: true,
-                else: false,
-              },
-            },
+            then: null,
+            else: userReactionExpr("$likes", req.user?._id),
           },
         },
       },
     },
+    {
+      $addFields: {
+        isLiked: {
+          $eq: ["$userReaction", "like"],
+        },
+      },
+    },
     {
       // Project only the required fields for the video
       $project: {
-        "video.url": 1,
+        // Players get the stream routes, the stored urls are dead links with the local driver
+        ...streamUrlFields(),
+        "renditions.name": 1,
+        "renditions.width": 1,
+        "renditions.height": 1,
+        "renditions.bandwidth": 1,
+        "preview.url": 1,
+        metadata: 1,
+        tags: 1,
+        category: 1,
         title: 1,
         description: 1,
         views: 1,
@@ -396,7 +602,9 @@ const getVideoById = asyncHandler(async (req, res) => {
         comments: 1,
         owner: 1,
         likesCount: 1,
+        dislikesCount: 1,
         isLiked: 1,
+        userReaction: 1,
         isSubscribed: 1,
         subscribersCount: 1,
       },
@@ -416,52 +624,32 @@ const updateVideo = asyncHandler(async (req, res) => {
   // Extract videoId from request parameters
   const { videoId } = req.params;
 
-  // Check if videoId is a valid MongoDB ObjectId
-  if (!isValidObjectId(videoId)) {
-    throw new ApiError(400, "Invalid videoId");
-  }
-
-  // Extract title and description from request body
-  const { title, description } = req.body;
+  // Extract title, description, tags and category from request body, validated by updateVideoSchema
+  const { title, description, tags, category } = req.body;
 
   // Get the local path of the uploaded thumbnail from the request
   const thumbnailLocalPath = req.file?.path;
 
-  // Find the current video by ID
-  const currentVideo = await Video.findById(videoId);
-
-  // If the video is not found, throw an error
-  if (!currentVideo) throw new ApiError(401, "Video cannot be found");
-
-  // Check if title or description is missing or empty
-  if (
-    [title, description].some(
-      (field) => field === undefined || field?.trim() === ""
-    )
-  ) {
-    throw new ApiError(400, "All fields are required");
-  }
-
-  // Check if the current user is the owner of the video
-  if (currentVideo?.owner.toString() !== req.user?._id.toString()) {
-    throw new ApiError(
-      400,
-      "You can't edit this video as you are not the owner"
-    );
-  }
+  // The video was loaded and its ownership checked by verifyOwnership
+  const currentVideo = req.resource;
 
   // Create an update object with the new title and description
   let update = {
     $set: {
       title,
+      titleTerms: toSearchTerms(title),
       description,
     },
   };
 
+  // Tags and category are only changed when they are sent, an empty list clears the tags
+  if (tags !== undefined) update.$set.tags = tags;
+  if (category) update.$set.category = category;
+
   // If a new thumbnail was provided, add it to the update object
   if (thumbnailLocalPath) {
-    // Upload the new thumbnail to Cloudinary
-    const thumbnailFile = await uploadOnCloudinary(
+    // Upload the new thumbnail to the media storage
+    const thumbnailFile = await uploadMedia(
       thumbnailLocalPath,
       thumbnail_upOptions
     );
@@ -469,13 +657,15 @@ const updateVideo = asyncHandler(async (req, res) => {
     // If thumbnail upload fails, throw an error
     if (!thumbnailFile) throw new ApiError(501, "Thumbnail uploading failed");
 
-    // Delete the old thumbnail from Cloudinary
-    await deleteFromCloudinary(currentVideo?.thumbnail.fileId);
+    // Delete the old thumbnail from the media storage, unless it is one of the extracted frames
+    if (!isThumbnailCandidate(currentVideo, currentVideo?.thumbnail?.fileId)) {
+      await deleteMedia(currentVideo?.thumbnail?.fileId, thumbnail_upOptions);
+    }
 
     // Add the new thumbnail details to the update object
     update.$set.thumbnail = {
-      fileId: thumbnailFile.public_id,
-      url: thumbnailFile.secure_url,
+      fileId: thumbnailFile.fileId,
+      url: thumbnailFile.url,
     };
   }
 
@@ -493,15 +683,53 @@ const updateVideo = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, video, "Video updated successfully"));
 });
 
+// Async handler to use one of the frames extracted by the worker as thumbnail
+const selectThumbnailCandidate = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  // Index of the candidate, validated by selectThumbnailSchema
+  const { candidate } = req.body;
+
+  // The video was loaded and its ownership checked by verifyOwnership
+  const currentVideo = req.resource;
+
+  // Check if the candidate exists
+  const thumbnail = currentVideo.thumbnailCandidates?.[candidate];
+  if (!thumbnail) throw new ApiError(404, "Thumbnail candidate not found");
+
+  // Update the video with the chosen frame as thumbnail
+  const video = await Video.findByIdAndUpdate(
+    videoId,
+    {
+      $set: {
+        thumbnail: {
+          fileId: thumbnail.fileId,
+          url: thumbnail.url,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  // If updating the video fails, throw an error
+  if (!video) throw new ApiError(500, "Updating thumbnail failed");
+
+  // Delete the replaced thumbnail if it was uploaded by the owner
+  if (!isThumbnailCandidate(currentVideo, currentVideo.thumbnail?.fileId)) {
+    await deleteMedia(currentVideo.thumbnail?.fileId, thumbnail_upOptions);
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Thumbnail updated successfully"));
+});
+
 // Async handler to delete video 
 const deleteVideo = asyncHandler(async (req, res) => {
   const { videoId } = req.params;
 
-  // Find the current video by ID
-  const currentVideo = await Video.findById(videoId);
-
-  // If the video is not found, throw an error
-  if (!currentVideo) throw new ApiError(404, "Video not found");
+  // The video was loaded and its ownership checked by verifyOwnership
+  const currentVideo = req.resource;
 
   // Delete the video from the database
   const deleteVideo = await Video.findByIdAndDelete(videoId);
@@ -509,12 +737,24 @@ const deleteVideo = asyncHandler(async (req, res) => {
   // If video deletion fails, throw an error
   if (!deleteVideo) throw new ApiError(500, "Video deletion failed");
 
-  // Delete related likes, comments, and Cloudinary files in parallel
+  // Delete related likes, comments, watch history entries, view markers and stored media files in parallel
   await Promise.all([
     Like.deleteMany({ video: videoId }),
     Comment.deleteMany({ video: videoId }),
-    deleteFromCloudinary(currentVideo?.video.fileId),
-    deleteFromCloudinary(currentVideo?.thumbnail.fileId),
+    WatchHistory.deleteMany({ video: videoId }),
+    VideoView.deleteMany({ video: videoId }),
+    deleteMedia(currentVideo?.video.fileId, video_upOptions),
+    deleteMediaDirectory(currentVideo?.hls?.fileId, hls_upOptions),
+    deleteMediaDirectory(currentVideo?.preview?.fileId, preview_upOptions),
+    // The thumbnail may be one of the candidates, so each file is only deleted once
+    ...[
+      ...new Set([
+        currentVideo?.thumbnail?.fileId,
+        ...(currentVideo?.thumbnailCandidates || []).map(
+          (candidate) => candidate.fileId
+        ),
+      ]),
+    ].map((fileId) => deleteMedia(fileId, thumbnail_upOptions)),
   ]);
 
   // Return a success response
@@ -525,17 +765,20 @@ const deleteVideo = asyncHandler(async (req, res) => {
 
 // Async handler to toggles the publish status of a video.
 const togglePublishStatus = asyncHandler(async (req, res) => {
-  const { videoId } = req.params;
+  // The video was loaded and its ownership checked by verifyOwnership
+  const video = req.resource;
 
-  // Find the video by ID
-  const video = await Video.findById(videoId);
-
-  // If the video is not found, throw an error
-  if (!video) throw new ApiError(404, "Video not found");
+  // A video can only be published once its files are stored
+  if (!video.isPublished && video.processingStatus !== "ready") {
+    throw new ApiError(409, "Video can't be published until processing is done");
+  }
 
   // Toggle the publish status of the video
   video.isPublished = !video.isPublished;
 
+  // Going public puts the video at the top of subscribers' feeds
+  if (video.isPublished) video.publishedAt = new Date();
+
   // Save the updated video
   await video.save({ validateBeforeSave: false });
 
@@ -549,6 +792,9 @@ const togglePublishStatus = asyncHandler(async (req, res) => {
 const getNextVideos = asyncHandler(async (req, res) => {
   const { videoId } = req.params;
 
+  // Query parameters are validated and coerced by getNextVideosSchema
+  const { page = 1, limit = 10 } = req.query;
+
   // Check if videoId is valid
   if (!isValidObjectId(videoId)) throw new ApiError(400, "Invalid videoId");
 
@@ -558,23 +804,18 @@ const getNextVideos = asyncHandler(async (req, res) => {
   // If the video is not found, throw an error
   if (!video) throw new ApiError(404, "Video not found");
 
-  // Aggregate query to get next videos
-  const nextVideos = await Video.aggregate([
-    {
-      // Match stage to find published videos excluding the current one
-      $match: {
-        _id: {
-          $ne: new mongoose.Types.ObjectId(videoId),
-        },
-        isPublished: true,
-      },
-    },
-    {
-      // Randomly sample 10 videos
-      $sample: {
-        size: 10,
-      },
-    },
+  // Recency is measured from the start of the hour, so the pages a viewer requests within it line up
+  const now = new Date();
+  now.setMinutes(0, 0, 0);
+
+  // Score the related published videos for this video and the viewer, if logged in.
+  // Popular and new videos fill in when too few are related to reach the requested page.
+  const pipeline = await buildRecommendationPipeline(video, req.user?._id, {
+    now,
+    minCandidates: page * limit,
+  });
+
+  pipeline.push(
     {
       // Lookup stage to get owner details
       $lookup: {
@@ -597,7 +838,26 @@ const getNextVideos = asyncHandler(async (req, res) => {
       // Unwind the owner details array
       $unwind: "$ownerDetails",
     },
-  ]);
+    {
+      // Project only the required fields for the video
+      $project: {
+        title: 1,
+        "thumbnail.url": 1,
+        duration: 1,
+        views: 1,
+        owner: 1,
+        ownerDetails: 1,
+        createdAt: 1,
+        score: 1,
+      },
+    }
+  );
+
+  // Execute the aggregation with pagination
+  const nextVideos = await Video.aggregatePaginate(Video.aggregate(pipeline), {
+    page,
+    limit,
+  });
 
   // Return a success response with the next videos
   return res
@@ -615,42 +875,28 @@ const updateVideoViews = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid videoId");
   }
 
-  // Find the video by ID
-  const video = await Video.findById(videoId);
-  if (!video) {
-    throw new ApiError(404, "Video not found");
-  }
+  // Find the video by ID, unpublished videos only count views from their owner
+  const video = await findWatchableVideo(videoId, userId);
 
-  // Find the user by ID
-  const user = await User.findById(userId);
-  if (!user) {
-    throw new ApiError(404, "User not found");
-  }
+  // A user's view is counted once, whether or not their history is recorded
+  await countView(userId, video._id);
 
-  // Check if the user has watched this video before
-  const watchHistoryEntry = user.watchHistory.find(
-    (entry) => entry.video.toString() === videoId
-  );
+  // The video moves to the top of the history unless the user paused it
+  const watchHistoryEntry = req.user?.isHistoryPaused
+    ? null
+    : await recordWatch(userId, video._id);
 
-  if (!watchHistoryEntry) {
-    // If not, increment the view count and add to watch history
-    await Video.findByIdAndUpdate(videoId, { $inc: { views: 1 } });
-    user.watchHistory.push({
-      video: videoId,
-      watchedAt: new Date(),
-    });
-    await user.save();
-  } else {
-    // If yes, update the watchedAt timestamp
-    watchHistoryEntry.watchedAt = new Date();
-    await user.save();
-  }
+  const { views } = await Video.findById(videoId).select("views");
 
-  // Return a success response with the updated video and user details
+  // Return a success response with the updated view count and history entry
   return res
     .status(200)
     .json(
-      new ApiResponse(200, { video, user }, "Video views updated successfully")
+      new ApiResponse(
+        200,
+        { videoId: video._id, views, watchHistory: watchHistoryEntry },
+        "Video views updated successfully"
+      )
     );
 });
 
@@ -664,4 +910,12 @@ export {
   getNextVideos,
   updateVideoViews,
   getVideoByIdForGuest,
+  getVideoProcessingStatus,
+  selectThumbnailCandidate,
+  getSearchSuggestions,
+  getVideosByTag,
+  getVideosByCategory,
+  getTopTags,
+  getVideoCategories,
+  getTrendingVideos,
 };
\ No newline at end of file
@@ -0,0 +1,142 @@
+import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { WatchHistory } from "../models/watchHistory.model.js";
+import { VideoView } from "../models/videoView.model.js";
+import { toSearchTerms } from "../utils/search/terms.js";
+
+// Small data fixes that have to run before the app serves requests. Each one is safe to run on every start.
+const migrations = [
+  // The field used to be misspelled in the schema
+  async function renameVideoDecription() {
+    const result = await Video.collection.updateMany(
+      { decription: { $exists: true }, description: { $exists: false } },
+      { $rename: { decription: "description" } }
+    );
+    return result.modifiedCount;
+  },
+
+  // Media fields used to hold the url as a plain string, files uploaded back then keep no fileId
+  async function moveMediaUrlsIntoObjects() {
+    // In order, empty cover images are removed before the others are wrapped
+    const updates = [
+      [User, { avatar: { $type: "string" } }, { avatar: { url: "$avatar" } }],
+      [User, { coverImage: "" }, null, "coverImage"],
+      [
+        User,
+        { coverImage: { $type: "string" } },
+        { coverImage: { url: "$coverImage" } },
+      ],
+      [
+        Video,
+        { videoFile: { $type: "string" } },
+        { video: { url: "$videoFile" } },
+        "videoFile",
+      ],
+      [
+        Video,
+        { thumbnail: { $type: "string" } },
+        { thumbnail: { url: "$thumbnail" } },
+      ],
+    ];
+
+    let modifiedCount = 0;
+    for (const [Model, filter, set, unset] of updates) {
+      const result = await Model.collection.updateMany(filter, [
+        ...(set ? [{ $set: set }] : []),
+        ...(unset ? [{ $unset: unset }] : []),
+      ]);
+      modifiedCount += result.modifiedCount;
+    }
+    return modifiedCount;
+  },
+
+  // Videos published before publishedAt existed went public when they were uploaded
+  async function setVideoPublishedAt() {
+    const result = await Video.collection.updateMany(
+      { isPublished: true, publishedAt: { $exists: false } },
+      [{ $set: { publishedAt: "$createdAt" } }]
+    );
+    return result.modifiedCount;
+  },
+
+  // Watch history used to be an array of video IDs on the user, without watch times
+  async function moveWatchHistoryToCollection() {
+    const users = await User.collection
+      .find({ watchHistory: { $exists: true } })
+      .project({ watchHistory: 1, updatedAt: 1 })
+      .toArray();
+
+    for (const user of users) {
+      const operations = (user.watchHistory || []).map((entry) => ({
+        updateOne: {
+          filter: { user: user._id, video: entry.video || entry },
+          update: {
+            $setOnInsert: {
+              watchedAt: entry.watchedAt || user.updatedAt || new Date(),
+            },
+          },
+          upsert: true,
+        },
+      }));
+      // The views of these videos were already counted, so watching them again mustn't count twice
+      const viewOperations = (user.watchHistory || []).map((entry) => ({
+        updateOne: {
+          filter: { user: user._id, video: entry.video || entry },
+          update: {
+            $setOnInsert: { user: user._id, video: entry.video || entry },
+          },
+          upsert: true,
+        },
+      }));
+      if (operations.length) {
+        await WatchHistory.bulkWrite(operations);
+        await VideoView.bulkWrite(viewOperations);
+      }
+
+      await User.collection.updateOne(
+        { _id: user._id },
+        { $unset: { watchHistory: "" } }
+      );
+    }
+    return users.length;
+  },
+
+  // Search suggestions match word prefixes on stored terms instead of a regex over the text
+  async function setSearchTerms() {
+    let modifiedCount = 0;
+    for (const [Model, field, termsField] of [
+      [Video, "title", "titleTerms"],
+      [User, "fullName", "fullNameTerms"],
+    ]) {
+      const documents = await Model.collection
+        .find({ [termsField]: { $exists: false } })
+        .project({ [field]: 1 })
+        .toArray();
+
+      const operations = documents.map((document) => ({
+        updateOne: {
+          filter: { _id: document._id },
+          update: { $set: { [termsField]: toSearchTerms(document[field]) } },
+        },
+      }));
+      if (operations.length) {
+        const result = await Model.collection.bulkWrite(operations);
+        modifiedCount += result.modifiedCount;
+      }
+    }
+    return modifiedCount;
+  },
+];
+
+const runMigrations = async () => {
+  for (const migration of migrations) {
+    const modifiedCount = await migration();
+    if (modifiedCount) {
+      console.log(
+        `Migration ${migration.name} updated ${modifiedCount} documents`
+      );
+    }
+  }
+};
+
+export default runMigrations;
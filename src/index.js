@@ -1,16 +1,29 @@
 import { app } from "./app.js";
 import connectDB from "./db/index.js";
+import runMigrations from "./db/migrations.js";
 import dotenv from "dotenv";
+import { cleanupExpiredUploadSessions } from "./utils/uploadSessions.js";
+
+const UPLOAD_CLEANUP_INTERVAL = 15 * 60 * 1000; // 15 minutes
 
 dotenv.config({
   path: "./.env",
 });
 
 connectDB()
+  .then(runMigrations)
   .then(() => {
     app.listen(process.env.PORT || 8000, () => {
       console.log(`Server is running at Port: ${process.env.PORT}`);
     });
+
+    // Remove abandoned resumable uploads and their partial files
+    const cleanupUploads = () =>
+      cleanupExpiredUploadSessions().catch((error) =>
+        console.log("Upload session cleanup failed", error)
+      );
+    cleanupUploads();
+    setInterval(cleanupUploads, UPLOAD_CLEANUP_INTERVAL).unref();
   })
   .catch((error) => {
     console.log("MONDODB db connection failed !!!", error);
@@ -3,29 +3,47 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import jwt from "jsonwebtoken";
 import { User } from "../models/user.model.js";
 
+// Expired or malformed tokens make jwt.verify throw, the error middleware turns those into 401 responses
 export const verifyJWT = asyncHandler(async (req, _, next) => {
-  try {
-    const token =
-      req.cookies?.accessToken ||
-      req.header("Authorization")?.replace("Bearer ", "");
+  const token =
+    req.cookies?.accessToken ||
+    req.header("Authorization")?.replace("Bearer ", "");
 
-    if (!token) {
-      throw new ApiError(401, "Unauthorized request");
-    }
+  if (!token) {
+    throw new ApiError(401, "Unauthorized request");
+  }
 
-    const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+  const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
 
-    const user = await User.findById(decodedToken?._id).select(
-      "-password -refreshToken"
-    );
+  const user = await User.findById(decodedToken?._id).select(
+    "-password -refreshToken"
+  );
 
-    if (!user) {
-      throw new ApiError(401, "Invalid Access Token");
-    }
+  if (!user) {
+    throw new ApiError(401, "Invalid Access Token");
+  }
 
-    req.user = user;
-    next();
-  } catch (error) {
-    throw new ApiError(401, error?.message || "Invalid access token");
+  req.user = user;
+  next();
+});
+
+// Like verifyJWT, but lets requests without a valid token through without req.user
+export const optionalJWT = asyncHandler(async (req, _, next) => {
+  const token =
+    req.cookies?.accessToken ||
+    req.header("Authorization")?.replace("Bearer ", "");
+
+  if (token) {
+    try {
+      const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+      const user = await User.findById(decodedToken?._id).select(
+        "-password -refreshToken"
+      );
+      if (user) req.user = user;
+    } catch (error) {
+      // An expired or invalid token is treated like no token
+    }
   }
+
+  next();
 });
@@ -0,0 +1,116 @@
+import fs from "fs";
+import mongoose from "mongoose";
+import multer from "multer";
+import jwt from "jsonwebtoken";
+import { ApiError } from "../utils/ApiError.js";
+
+// Converts errors thrown by mongoose, multer, jsonwebtoken and express into an ApiError
+const toApiError = (err) => {
+  if (err instanceof ApiError) return err;
+
+  if (err instanceof mongoose.Error.CastError) {
+    return new ApiError(
+      400,
+      `Invalid ${err.path}: ${err.value}`,
+      [],
+      err.stack
+    );
+  }
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    const errors = Object.values(err.errors).map((error) => ({
+      field: error.path,
+      message: error.message,
+    }));
+    return new ApiError(400, "Validation failed", errors, err.stack);
+  }
+
+  // Duplicate key error from a unique index
+  if (err?.code === 11000) {
+    const fields = Object.keys(err.keyValue || {});
+    return new ApiError(
+      409,
+      fields.length
+        ? `Duplicate value for ${fields.join(", ")}`
+        : "Duplicate value",
+      fields.map((field) => ({ field, message: "Already exists" })),
+      err.stack
+    );
+  }
+
+  if (err instanceof multer.MulterError) {
+    const statusCode = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+    const errors = err.field
+      ? [{ field: err.field, message: err.message }]
+      : [];
+    return new ApiError(statusCode, err.message, errors, err.stack);
+  }
+
+  // TokenExpiredError extends JsonWebTokenError, so it has to be checked first
+  if (err instanceof jwt.TokenExpiredError) {
+    return new ApiError(401, "Token has expired", [], err.stack);
+  }
+
+  if (err instanceof jwt.JsonWebTokenError) {
+    return new ApiError(401, "Invalid token", [], err.stack);
+  }
+
+  // Errors raised by the express.json / express.urlencoded body parsers
+  if (err?.type === "entity.parse.failed") {
+    return new ApiError(400, "Malformed request body", [], err.stack);
+  }
+
+  if (err?.type === "entity.too.large") {
+    return new ApiError(413, "Request body is too large", [], err.stack);
+  }
+
+  // Unexpected errors can leak implementation details, so their message is only shown in development
+  const statusCode = err?.statusCode || err?.status || 500;
+  const message =
+    statusCode < 500 || process.env.NODE_ENV === "development"
+      ? err?.message
+      : undefined;
+
+  return new ApiError(statusCode, message, [], err?.stack);
+};
+
+// Responds with 404 for requests that didn't match any route
+const notFoundHandler = (req, _, next) => {
+  next(new ApiError(404, `Route ${req.method} ${req.originalUrl} not found`));
+};
+
+// Files multer wrote for a request that failed, e.g. when validation or a state check rejected it.
+// Files that were already moved or uploaded are gone, so removing them is a no-op.
+const removeUploadedFiles = (req) => {
+  const files = [
+    req.file,
+    ...(Array.isArray(req.files)
+      ? req.files
+      : Object.values(req.files || {}).flat()),
+  ].filter(Boolean);
+
+  for (const file of files) {
+    fs.promises.rm(file.path, { force: true }).catch(() => {});
+  }
+};
+
+// Serializes every error into the same envelope as ApiResponse
+// Express recognizes error handlers by their four arguments, so next has to stay
+const errorHandler = (err, req, res, next) => {
+  const error = toApiError(err);
+
+  removeUploadedFiles(req);
+
+  if (error.statusCode >= 500) console.error(err);
+
+  return res.status(error.statusCode).json({
+    statusCode: error.statusCode,
+    data: error.data,
+    message: error.message,
+    success: error.success,
+    errors: error.errors,
+    ...(process.env.NODE_ENV === "development" && { stack: error.stack }),
+  });
+};
+
+export { errorHandler, notFoundHandler };
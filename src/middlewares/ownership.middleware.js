@@ -0,0 +1,34 @@
+import { isValidObjectId } from "mongoose";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+// Loads the document whose id is in req.params[paramName] and only lets its owner through.
+// Must run after verifyJWT; the loaded document is available to the controller as req.resource.
+export const verifyOwnership = (
+  Model,
+  paramName,
+  { ownerField = "owner", resourceName = Model.modelName } = {}
+) =>
+  asyncHandler(async (req, _, next) => {
+    const id = req.params[paramName];
+
+    if (!isValidObjectId(id)) {
+      throw new ApiError(400, `Invalid ${paramName}`);
+    }
+
+    const resource = await Model.findById(id);
+
+    if (!resource) {
+      throw new ApiError(404, `${resourceName} not found`);
+    }
+
+    if (resource[ownerField]?.toString() !== req.user?._id.toString()) {
+      throw new ApiError(
+        403,
+        `You can't modify this ${resourceName.toLowerCase()} as you are not the owner`
+      );
+    }
+
+    req.resource = resource;
+    next();
+  });
@@ -0,0 +1,153 @@
+import { isValidObjectId } from "mongoose";
+import { ApiError } from "../utils/ApiError.js";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+// Each type checker returns { value } with the coerced value, or { error } describing the problem
+const typeCheckers = {
+  string: (value, rule) => {
+    if (typeof value !== "string") return { error: "must be a string" };
+    let result = rule.trim === false ? value : value.trim();
+    if (rule.lowercase) result = result.toLowerCase();
+    if (rule.minLength !== undefined && result.length < rule.minLength) {
+      return { error: `must be at least ${rule.minLength} characters long` };
+    }
+    if (rule.maxLength !== undefined && result.length > rule.maxLength) {
+      return { error: `must be at most ${rule.maxLength} characters long` };
+    }
+    if (rule.pattern && !rule.pattern.test(result)) {
+      return { error: rule.patternMessage || "has an invalid format" };
+    }
+    return { value: result };
+  },
+  email: (value) => {
+    if (typeof value !== "string" || !EMAIL_PATTERN.test(value.trim())) {
+      return { error: "must be a valid email address" };
+    }
+    return { value: value.trim().toLowerCase() };
+  },
+  number: (value, rule) => {
+    // Query strings and multipart bodies only carry strings
+    const result = typeof value === "string" ? Number(value) : value;
+    if (typeof result !== "number" || Number.isNaN(result)) {
+      return { error: "must be a number" };
+    }
+    if (rule.integer && !Number.isInteger(result)) {
+      return { error: "must be an integer" };
+    }
+    if (rule.min !== undefined && result < rule.min) {
+      return { error: `must be at least ${rule.min}` };
+    }
+    if (rule.max !== undefined && result > rule.max) {
+      return { error: `must be at most ${rule.max}` };
+    }
+    return { value: result };
+  },
+  integer: (value, rule) =>
+    typeCheckers.number(value, { ...rule, integer: true }),
+  boolean: (value) => {
+    if (typeof value === "boolean") return { value };
+    if (value === "true" || value === "1") return { value: true };
+    if (value === "false" || value === "0") return { value: false };
+    return { error: "must be a boolean" };
+  },
+  list: (value, rule) => {
+    // Multipart bodies send lists as repeated fields or as one comma separated string
+    const items = (Array.isArray(value) ? value : String(value).split(","))
+      .map((item) => (typeof item === "string" ? item.trim() : item))
+      .filter((item) => item !== "");
+
+    if (items.some((item) => typeof item !== "string")) {
+      return { error: "must be a list of strings" };
+    }
+    if (rule.maxItems !== undefined && items.length > rule.maxItems) {
+      return { error: `must have at most ${rule.maxItems} items` };
+    }
+    if (
+      rule.itemMaxLength !== undefined &&
+      items.some((item) => item.length > rule.itemMaxLength)
+    ) {
+      return {
+        error: `items must be at most ${rule.itemMaxLength} characters long`,
+      };
+    }
+    return { value: items };
+  },
+  date: (value) => {
+    // ISO strings like 2024-05-01 or 2024-05-01T10:00:00Z
+    const result = new Date(value);
+    if (typeof value !== "string" || Number.isNaN(result.getTime())) {
+      return { error: "must be a valid date" };
+    }
+    return { value: result };
+  },
+  objectId: (value) => {
+    if (
+      typeof value !== "string" ||
+      !OBJECT_ID_PATTERN.test(value) ||
+      !isValidObjectId(value)
+    ) {
+      return { error: "must be a valid id" };
+    }
+    return { value };
+  },
+};
+
+// Checks one field against its rule, returning { value } or { error }
+const checkField = (value, rule) => {
+  // An empty field is how multipart forms send an empty list, so it only counts as missing for other types
+  const isMissing =
+    value === undefined ||
+    value === null ||
+    (value === "" && rule.type !== "list");
+
+  if (isMissing) {
+    if (rule.required) return { error: "is required" };
+    return { value: rule.default };
+  }
+
+  const result = typeCheckers[rule.type](value, rule);
+  if (result.error) return result;
+
+  // A string that trims down to nothing counts as missing
+  if (rule.required && result.value === "") return { error: "is required" };
+
+  if (rule.enum && !rule.enum.includes(result.value)) {
+    return { error: `must be one of: ${rule.enum.join(", ")}` };
+  }
+
+  return result;
+};
+
+// Validates and coerces req.params, req.query and req.body against a schema like
+// { params: { videoId: { type: "objectId", required: true } }, query: { page: { type: "integer", min: 1, default: 1 } } }
+// Fields that aren't in the schema are left untouched.
+export const validate = (schema) => (req, _, next) => {
+  const errors = [];
+
+  for (const location of ["params", "query", "body"]) {
+    const rules = schema[location];
+    if (!rules) continue;
+
+    const source = req[location] || {};
+
+    for (const [field, rule] of Object.entries(rules)) {
+      const { value, error } = checkField(source[field], rule);
+
+      if (error) {
+        errors.push({ location, field, message: `${field} ${error}` });
+      } else if (value !== undefined) {
+        source[field] = value;
+      }
+    }
+
+    req[location] = source;
+  }
+
+  if (errors.length) {
+    return next(new ApiError(400, "Validation failed", errors));
+  }
+
+  next();
+};
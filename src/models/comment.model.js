@@ -14,10 +14,26 @@ const commentSchema = new Schema({
       type : Schema.Types.ObjectId,
       ref : "User"
     },
+    parent : {
+      type : Schema.Types.ObjectId, // comment this one is replying to, null for top-level
+      ref : "Comment",
+      default : null
+    },
+    depth : {
+      type : Number, // 0 for top-level comments, parent depth + 1 for replies
+      default : 0
+    },
+    isDeleted : {
+      type : Boolean, // deleted comments with replies are kept as a placeholder
+      default : false
+    },
   },
   {
     timestamps : true
   }
 ) 
+commentSchema.index({ video : 1, parent : 1, createdAt : -1 })
+commentSchema.index({ parent : 1, createdAt : -1 }) // replies of a comment, looked up without the video
+commentSchema.index({ createdAt : -1 }) // comments in a time window, for the trending job
 commentSchema.plugin(mongooseAggregatePaginate)
-export const Comment = mongoose.model("Comment", commentSchema)
\ No newline at end of file
+export const Comment = mongoose.model("Comment", commentSchema)
@@ -0,0 +1,59 @@
+import mongoose, {Schema} from "mongoose";
+
+const jobSchema = new Schema({
+    type : {
+      type : String, // name the handler was registered under, e.g. "video.process"
+      required : true
+    },
+    payload : {
+      type : Schema.Types.Mixed,
+      default : {}
+    },
+    status : {
+      type : String,
+      // "dead" is the dead-letter state, the job ran out of attempts and is kept for inspection
+      enum : ["queued", "processing", "completed", "dead"],
+      default : "queued"
+    },
+    attempts : {
+      type : Number,
+      default : 0
+    },
+    maxAttempts : {
+      type : Number,
+      default : 5
+    },
+    runAt : {
+      type : Date, // earliest time the job can be picked up, pushed back between retries
+      default : Date.now
+    },
+    progress : {
+      type : Number, // 0-100, reported by the handler
+      default : 0
+    },
+    lockedAt : {
+      type : Date
+    },
+    lockedBy : {
+      type : String // id of the worker running the job
+    },
+    lastError : {
+      type : String
+    },
+    completedAt : {
+      type : Date
+    },
+    singletonKey : {
+      type : String // set while a job that may only be queued once is waiting or running, see ensureJobQueued
+    }
+  },
+  {
+    timestamps : true
+  }
+)
+jobSchema.index({ status : 1, runAt : 1 })
+jobSchema.index(
+  { singletonKey : 1 },
+  { unique : true, partialFilterExpression : { singletonKey : { $exists : true } } }
+)
+export const Job = mongoose.model("Job", jobSchema)
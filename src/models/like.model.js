@@ -1,4 +1,6 @@
 import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { REACTION_TYPES } from "../constants.js";
 
 const likeSchema = new Schema({
   video : {
@@ -9,12 +11,39 @@ const likeSchema = new Schema({
     type : Schema.Types.ObjectId,
     ref : "Comment",
   },
+  post : {
+    type : Schema.Types.ObjectId,
+    ref : "Post",
+  },
   likedBy : {
     type : Schema.Types.ObjectId,
     ref : "User",
   },
+  type : {
+    type : String, // reaction kind, documents without it are plain likes
+    enum : REACTION_TYPES,
+    default : "like",
+  },
 
 },
 { timestamps : true }
 );
-export const Like = mongoose.model("Like", likeSchema)
\ No newline at end of file
+
+// A user can react to the same item only once, even under concurrent requests
+likeSchema.index(
+  { video : 1, likedBy : 1 },
+  { unique : true, partialFilterExpression : { video : { $exists : true } } }
+);
+likeSchema.index(
+  { comment : 1, likedBy : 1 },
+  { unique : true, partialFilterExpression : { comment : { $exists : true } } }
+);
+likeSchema.index(
+  { post : 1, likedBy : 1 },
+  { unique : true, partialFilterExpression : { post : { $exists : true } } }
+);
+// Reactions in a time window, for the trending job
+likeSchema.index({ createdAt : -1 });
+
+likeSchema.plugin(mongooseAggregatePaginate)
+export const Like = mongoose.model("Like", likeSchema)
@@ -3,15 +3,17 @@ import mongoose, {Schema} from "mongoose";
 const playlistSchema = new Schema({
     name : {
       type : String,
-      required : true
+      required : true,
+      trim : true
     },
     description : {
       type : String,
-      required : true
+      default : "",
+      trim : true
     },
     videos : [
       {
-        type : Schema.Types.ObjectId,
+        type : Schema.Types.ObjectId, // kept in playback order
         ref : "Video"
       }
     ],
@@ -23,4 +25,4 @@ const playlistSchema = new Schema({
   { timestamps : true}
 )
 
-export const Playlist = mongoose.model("PlayList", playlistSchema)
\ No newline at end of file
+export const Playlist = mongoose.model("PlayList", playlistSchema)
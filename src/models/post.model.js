@@ -0,0 +1,30 @@
+import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+const postSchema = new Schema({
+    content : {
+      type : String,
+      required : true,
+      trim : true,
+      maxlength : 5000
+    },
+    image : {
+      fileId : {
+        type : String, // id in the media storage
+      },
+      url : {
+        type : String, // public url from the media storage
+      },
+    },
+    owner : {
+      type : Schema.Types.ObjectId,
+      ref : "User"
+    },
+  },
+  {
+    timestamps : true
+  }
+)
+postSchema.index({ owner : 1, createdAt : -1 })
+postSchema.plugin(mongooseAggregatePaginate)
+export const Post = mongoose.model("Post", postSchema)
@@ -0,0 +1,25 @@
+import mongoose, {Schema} from "mongoose";
+import { SEARCH_QUERY_MAX_LENGTH } from "../constants.js";
+
+// Aggregated log of searched terms. Nothing about who searched is stored, only how often and how recently.
+const searchQuerySchema = new Schema({
+    query : {
+      type : String, // normalized: trimmed, lowercased, single spaces
+      required : true,
+      unique : true,
+      maxlength : SEARCH_QUERY_MAX_LENGTH
+    },
+    count : {
+      type : Number,
+      default : 0
+    },
+    lastSearchedAt : {
+      type : Date,
+      default : Date.now
+    }
+  },
+  {
+    timestamps : true
+  }
+)
+export const SearchQuery = mongoose.model("SearchQuery", searchQuerySchema)
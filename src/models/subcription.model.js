@@ -1,4 +1,5 @@
 import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 
 const subcriptionSchema = new Schema({
   subscriber : {
@@ -10,4 +11,10 @@ const subcriptionSchema = new Schema({
     ref: "User"
   },
 },{timestamps: true}) 
-export const Subcription = mongoose.model("Subcription", subcriptionSchema)
\ No newline at end of file
+
+// A user can subscribe to a channel only once
+subcriptionSchema.index({ subscriber: 1, channel: 1 }, { unique: true })
+subcriptionSchema.index({ channel: 1, createdAt: -1 })
+
+subcriptionSchema.plugin(mongooseAggregatePaginate)
+export const Subcription = mongoose.model("Subcription", subcriptionSchema)
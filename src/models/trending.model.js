@@ -0,0 +1,33 @@
+import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+// Snapshot of how fast each published video is gaining views, likes and comments.
+// Rewritten by the trending job so the trending feed is a plain indexed read.
+const trendingSchema = new Schema({
+    video : {
+      type : Schema.Types.ObjectId,
+      ref : "Video",
+      required : true,
+      unique : true
+    },
+    category : {
+      type : String // copied from the video so the feed can be filtered without a lookup
+    },
+    score : {
+      type : Number, // recent activity, decayed by the time since it happened
+      default : 0
+    },
+    computedAt : {
+      type : Date,
+      required : true
+    },
+    appliedUntil : {
+      type : Date // window end of the last run that added this video's activity
+    }
+  }
+)
+trendingSchema.index({ score : -1 })
+trendingSchema.index({ category : 1, score : -1 })
+trendingSchema.index({ computedAt : -1 })
+trendingSchema.plugin(mongooseAggregatePaginate)
+export const Trending = mongoose.model("Trending", trendingSchema)
@@ -0,0 +1,19 @@
+import mongoose, {Schema} from "mongoose";
+
+// Single document recording which activity the trending job has already added to the scores.
+// A run fixes its window end here before writing, so a retried run counts the same window again.
+const trendingRunSchema = new Schema({
+    key : {
+      type : String,
+      required : true,
+      unique : true
+    },
+    completedUntil : {
+      type : Date // end of the last window whose activity was fully applied
+    },
+    pendingUntil : {
+      type : Date // end of the window being applied, unset once the run completes
+    }
+  }
+)
+export const TrendingRun = mongoose.model("TrendingRun", trendingRunSchema)
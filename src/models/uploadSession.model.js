@@ -0,0 +1,50 @@
+import mongoose, {Schema} from "mongoose";
+
+const uploadSessionSchema = new Schema({
+    owner : {
+      type : Schema.Types.ObjectId,
+      ref : "User"
+    },
+    fileName : {
+      type : String,
+      required : true
+    },
+    mimeType : {
+      type : String,
+      required : true
+    },
+    size : {
+      type : Number, // total size of the file in bytes
+      required : true
+    },
+    checksum : {
+      type : String, // sha256 of the whole file, hex encoded
+      required : true
+    },
+    receivedRanges : [
+      {
+        _id : false,
+        start : Number, // inclusive byte offset
+        end : Number // exclusive byte offset
+      }
+    ],
+    status : {
+      type : String,
+      enum : ["active", "finalizing", "completed"],
+      default : "active"
+    },
+    video : {
+      type : Schema.Types.ObjectId, // draft created when the upload is finalized
+      ref : "Video"
+    },
+    expiresAt : {
+      type : Date, // pushed back on every chunk, abandoned sessions are cleaned up after it
+      required : true
+    },
+  },
+  {
+    timestamps : true
+  }
+)
+uploadSessionSchema.index({ expiresAt : 1 })
+export const UploadSession = mongoose.model("UploadSession", uploadSessionSchema)
@@ -23,19 +23,34 @@ const userSchema = new Schema(
       requred: true,
       trim: true,
     },
+    fullNameTerms: {
+      type: [String], // words of the full name from toSearchTerms, for search suggestions
+      default: undefined,
+    },
     avatar: {
-      type: String, //cloudnery url
-      required: true,
+      fileId: {
+        type: String, // id in the media storage, used to delete the file
+      },
+      url: {
+        type: String, // public url from the media storage
+        required: true,
+      },
     },
     coverImage: {
-      type: String, // cloudnery url
-    },
-    watchHistory: [
-      {
-        type: Schema.Types.ObjectId,
-        ref: "Video",
+      fileId: {
+        type: String,
+      },
+      url: {
+        type: String,
       },
-    ],
+    },
+    isHistoryPaused: {
+      type: Boolean, // while paused, watched videos aren't added to the watch history
+      default: false,
+    },
+    feedLastVisitedAt: {
+      type: Date, // when the subscription feed was last opened, for the "new since last visit" count
+    },
     password: {
       type: String,
       required: [true, "Password is required"],
@@ -49,6 +64,8 @@ const userSchema = new Schema(
   }
 );
 
+userSchema.index({ fullNameTerms: 1 });
+
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
   this.password = await bcrypt.hash(this.password, 10);
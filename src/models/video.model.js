@@ -1,26 +1,102 @@
 import mongoose, {Schema} from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { VIDEO_CATEGORIES } from "../constants.js";
+import { normalizeTags } from "../utils/tags.js";
+
+// Files are stored by the job worker, so they only have to be there once processing is done
+function isProcessed() {
+    return this.processingStatus === "ready"
+}
+
+// Videos from before the job queue were migrated to { url } without a fileId,
+// only the ones stored by the worker are known to have one
+function isStoredByWorker() {
+    return isProcessed.call(this) && Boolean(this.processingJob)
+}
+
 const videoSchema = new Schema(
     {
-        videoFile:{
-            type: String, //cloudnery url
-            required: true
+        video:{
+            fileId:{
+                type: String, // id in the media storage, used to delete the file
+                required: isStoredByWorker
+            },
+            url:{
+                type: String, // public url from the media storage
+                required: isProcessed
+            }
+        },
+        hls:{
+            fileId: String, // id of the HLS directory, only set when transcoded locally
+            url: String // master playlist url
         },
+        renditions:[
+            {
+                _id: false,
+                name: String, // e.g. "720p"
+                width: Number,
+                height: Number,
+                bandwidth: Number, // bits per second, as advertised in the master playlist
+                url: String // rendition playlist url
+            }
+        ],
         thumbnail:{
-            type: String, //cloudnery url
-            required: true
+            fileId:{
+                type: String,
+                required: isStoredByWorker
+            },
+            url:{
+                type: String,
+                required: isProcessed
+            }
+        },
+        thumbnailCandidates:[
+            {
+                _id: false,
+                fileId: String, // frames picked from the video, the owner can choose one as thumbnail
+                url: String
+            }
+        ],
+        preview:{
+            fileId: String, // id of the directory with the sprite sheet and its track
+            url: String // WebVTT thumbnail track for scrub previews
         },
         title:{
             type: String, //cloudnery url
             required: true
         },
-        decription:{
+        titleTerms:{
+            type: [String], // words of the title from toSearchTerms, for search suggestions
+            default: undefined
+        },
+        description:{
             type: String, //cloudnery url
             required: true
         },
+        tags:{
+            type: [String],
+            set: normalizeTags,
+            default: []
+        },
+        category:{
+            type: String,
+            enum: VIDEO_CATEGORIES
+        },
         duration:{
             type: Number,
-            required: true
+            required: isProcessed
+        },
+        metadata:{
+            // Read with ffprobe when the video is uploaded
+            width: Number,
+            height: Number,
+            aspectRatio: String, // e.g. "16:9"
+            frameRate: Number, // frames per second
+            videoCodec: String,
+            audioCodec: String, // missing for videos without sound
+            bitrate: Number, // bits per second
+            size: Number, // bytes
+            container: String // e.g. "mov,mp4,m4a,3gp,3g2,mj2"
         },
         views:{
             type: Number,
@@ -30,15 +106,39 @@ const videoSchema = new Schema(
             type: Boolean,
             default: true
         },
+        publishedAt:{
+            type: Date // last time the video went public, orders the subscription feed
+        },
         owner:{
             type: Schema.Types.ObjectId,
             ref:"User"
+        },
+        processingStatus:{
+            type: String,
+            enum: ["queued", "processing", "ready", "failed"],
+            default: "ready" // videos from before the job queue were processed in the request
+        },
+        processingError:{
+            type: String // last error from the worker
+        },
+        processingJob:{
+            type: Schema.Types.ObjectId,
+            ref:"Job"
         }
-        
+
     },
     {
         timestamps: true
     }
 )
+// Used by the default "mongo" search backend, title matches weigh more than description matches
+videoSchema.index(
+    { title: "text", description: "text" },
+    { name: "video_text_search", weights: { title: 3, description: 1 } }
+)
+videoSchema.index({ tags: 1 })
+videoSchema.index({ titleTerms: 1 })
+videoSchema.index({ category: 1, createdAt: -1 })
+videoSchema.index({ owner: 1, publishedAt: -1 }) // subscription feed
 videoSchema.plugin(mongooseAggregatePaginate)
 export const Video = mongoose.model("Video", videoSchema)
\ No newline at end of file
@@ -0,0 +1,24 @@
+import mongoose, {Schema} from "mongoose";
+
+// Marks that a user's view of a video was counted. Kept apart from the watch history,
+// so removing, clearing or pausing the history can't make the same user count again.
+const videoViewSchema = new Schema({
+    user : {
+      type : Schema.Types.ObjectId,
+      ref : "User",
+      required : true
+    },
+    video : {
+      type : Schema.Types.ObjectId,
+      ref : "Video",
+      required : true
+    }
+  },
+  {
+    timestamps : true
+  }
+)
+videoViewSchema.index({ user : 1, video : 1 }, { unique : true })
+videoViewSchema.index({ video : 1 })
+videoViewSchema.index({ createdAt : -1 }) // views in a time window, for the trending job
+export const VideoView = mongoose.model("VideoView", videoViewSchema)
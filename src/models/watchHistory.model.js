@@ -0,0 +1,40 @@
+import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+// One entry per user and video, moved to the top of the history every time the video is watched again
+const watchHistorySchema = new Schema({
+    user : {
+      type : Schema.Types.ObjectId,
+      ref : "User",
+      required : true
+    },
+    video : {
+      type : Schema.Types.ObjectId,
+      ref : "Video",
+      required : true
+    },
+    watchedAt : {
+      type : Date,
+      default : Date.now
+    },
+    position : {
+      type : Number, // last playback position, in seconds
+      default : 0,
+      min : 0
+    },
+    progress : {
+      type : Number, // share of the video watched up to the position, in percent
+      default : 0,
+      min : 0,
+      max : 100
+    }
+  },
+  {
+    timestamps : true
+  }
+)
+watchHistorySchema.index({ user : 1, video : 1 }, { unique : true })
+watchHistorySchema.index({ user : 1, watchedAt : -1 })
+watchHistorySchema.index({ video : 1, watchedAt : -1 }) // co-watch recommendations
+watchHistorySchema.plugin(mongooseAggregatePaginate)
+export const WatchHistory = mongoose.model("WatchHistory", watchHistorySchema)
@@ -0,0 +1,36 @@
+import { Router } from "express";
+import {
+  addComment,
+  addReply,
+  deleteComment,
+  getCommentReplies,
+  getVideoComments,
+  updateComment,
+} from "../controllers/comment.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { verifyOwnership } from "../middlewares/ownership.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { Comment } from "../models/comment.model.js";
+import {
+  getCommentRepliesSchema,
+  getVideoCommentsSchema,
+} from "../validators/comment.validator.js";
+
+const router = Router();
+
+router
+  .route("/:videoId")
+  .get(verifyJWT, validate(getVideoCommentsSchema), getVideoComments)
+  .post(verifyJWT, addComment);
+
+router
+  .route("/r/:commentId")
+  .get(verifyJWT, validate(getCommentRepliesSchema), getCommentReplies)
+  .post(verifyJWT, addReply);
+
+router
+  .route("/c/:commentId")
+  .patch(verifyJWT, verifyOwnership(Comment, "commentId"), updateComment)
+  .delete(verifyJWT, verifyOwnership(Comment, "commentId"), deleteComment);
+
+export default router;
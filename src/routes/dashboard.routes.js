@@ -0,0 +1,13 @@
+import { Router } from "express";
+import {
+  getChannelStats,
+  getChannelVideos,
+} from "../controllers/dashboard.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+router.route("/stats").get(verifyJWT, getChannelStats);
+router.route("/videos").get(verifyJWT, getChannelVideos);
+
+export default router;
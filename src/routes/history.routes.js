@@ -0,0 +1,40 @@
+import { Router } from "express";
+import {
+  clearWatchHistory,
+  getResumePosition,
+  getWatchHistory,
+  removeFromWatchHistory,
+  reportWatchProgress,
+  setWatchHistoryPaused,
+} from "../controllers/history.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  getWatchHistorySchema,
+  historyVideoSchema,
+  reportWatchProgressSchema,
+  setWatchHistoryPausedSchema,
+} from "../validators/history.validator.js";
+
+const router = Router();
+
+router
+  .route("/")
+  .get(verifyJWT, validate(getWatchHistorySchema), getWatchHistory)
+  .delete(verifyJWT, clearWatchHistory);
+
+router
+  .route("/pause")
+  .patch(
+    verifyJWT,
+    validate(setWatchHistoryPausedSchema),
+    setWatchHistoryPaused
+  );
+
+router
+  .route("/:videoId")
+  .get(verifyJWT, validate(historyVideoSchema), getResumePosition)
+  .patch(verifyJWT, validate(reportWatchProgressSchema), reportWatchProgress)
+  .delete(verifyJWT, validate(historyVideoSchema), removeFromWatchHistory);
+
+export default router;
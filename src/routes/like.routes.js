@@ -0,0 +1,21 @@
+import { Router } from "express";
+import {
+  getLikedVideos,
+  toggleCommentLike,
+  togglePostLike,
+  toggleVideoLike,
+} from "../controllers/like.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { getLikedVideosSchema } from "../validators/like.validator.js";
+
+const router = Router();
+
+router.route("/toggle/v/:videoId").post(verifyJWT, toggleVideoLike);
+router.route("/toggle/c/:commentId").post(verifyJWT, toggleCommentLike);
+router.route("/toggle/p/:postId").post(verifyJWT, togglePostLike);
+router
+  .route("/videos")
+  .get(verifyJWT, validate(getLikedVideosSchema), getLikedVideos);
+
+export default router;
@@ -0,0 +1,41 @@
+import { Router } from "express";
+import {
+  addVideoToPlaylist,
+  createPlaylist,
+  deletePlaylist,
+  getPlaylistById,
+  getUserPlaylists,
+  moveVideoInPlaylist,
+  removeVideoFromPlaylist,
+  updatePlaylist,
+} from "../controllers/playlist.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { verifyOwnership } from "../middlewares/ownership.middleware.js";
+import { Playlist } from "../models/playlist.model.js";
+
+const router = Router();
+const verifyPlaylistOwner = verifyOwnership(Playlist, "playlistId", {
+  resourceName: "Playlist",
+});
+
+router.route("/").post(verifyJWT, createPlaylist);
+
+router
+  .route("/:playlistId")
+  .get(verifyJWT, getPlaylistById)
+  .patch(verifyJWT, verifyPlaylistOwner, updatePlaylist)
+  .delete(verifyJWT, verifyPlaylistOwner, deletePlaylist);
+
+router
+  .route("/add/:videoId/:playlistId")
+  .patch(verifyJWT, verifyPlaylistOwner, addVideoToPlaylist);
+router
+  .route("/remove/:videoId/:playlistId")
+  .patch(verifyJWT, verifyPlaylistOwner, removeVideoFromPlaylist);
+router
+  .route("/move/:videoId/:playlistId")
+  .patch(verifyJWT, verifyPlaylistOwner, moveVideoInPlaylist);
+
+router.route("/user/:userId").get(verifyJWT, getUserPlaylists);
+
+export default router;
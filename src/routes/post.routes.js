@@ -0,0 +1,28 @@
+import { Router } from "express";
+import {
+  createPost,
+  deletePost,
+  getUserPosts,
+  updatePost,
+} from "../controllers/post.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { upload } from "../middlewares/multer.middleware.js";
+import { verifyOwnership } from "../middlewares/ownership.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { Post } from "../models/post.model.js";
+import { getUserPostsSchema } from "../validators/post.validator.js";
+
+const router = Router();
+
+router.route("/").post(verifyJWT, upload.single("image"), createPost);
+
+router
+  .route("/user/:userId")
+  .get(verifyJWT, validate(getUserPostsSchema), getUserPosts);
+
+router
+  .route("/:postId")
+  .patch(verifyJWT, verifyOwnership(Post, "postId"), updatePost)
+  .delete(verifyJWT, verifyOwnership(Post, "postId"), deletePost);
+
+export default router;
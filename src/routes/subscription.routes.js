@@ -0,0 +1,38 @@
+import { Router } from "express";
+import {
+  getNewFeedVideosCount,
+  getSubscribedChannels,
+  getSubscriptionFeed,
+  getUserChannelSubscribers,
+  toggleSubscription,
+} from "../controllers/subscription.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  getSubscribedChannelsSchema,
+  getSubscriptionFeedSchema,
+  getUserChannelSubscribersSchema,
+} from "../validators/subscription.validator.js";
+
+const router = Router();
+
+router
+  .route("/c/:channelId")
+  .get(
+    verifyJWT,
+    validate(getUserChannelSubscribersSchema),
+    getUserChannelSubscribers
+  )
+  .post(verifyJWT, toggleSubscription);
+
+router
+  .route("/u/subscribed")
+  .get(verifyJWT, validate(getSubscribedChannelsSchema), getSubscribedChannels);
+
+router
+  .route("/feed")
+  .get(verifyJWT, validate(getSubscriptionFeedSchema), getSubscriptionFeed);
+
+router.route("/feed/new-count").get(verifyJWT, getNewFeedVideosCount);
+
+export default router;
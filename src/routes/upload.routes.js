@@ -0,0 +1,66 @@
+import express, { Router } from "express";
+import {
+  finalizeUpload,
+  getUploadStatus,
+  initiateUpload,
+  uploadChunk,
+} from "../controllers/upload.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { upload } from "../middlewares/multer.middleware.js";
+import { verifyOwnership } from "../middlewares/ownership.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { UploadSession } from "../models/uploadSession.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { UPLOAD_CHUNK_MAX_SIZE } from "../constants.js";
+import {
+  finalizeUploadSchema,
+  initiateUploadSchema,
+  uploadChunkSchema,
+  uploadIdSchema,
+} from "../validators/upload.validator.js";
+
+const router = Router();
+const verifyUploadOwner = verifyOwnership(UploadSession, "uploadId", {
+  resourceName: "Upload session",
+});
+
+// The app's json and urlencoded parsers run before this router, so a chunk sent with one of
+// their content types would arrive already parsed. Only raw bytes are accepted.
+const requireOctetStream = (req, _, next) =>
+  next(
+    req.is("application/octet-stream")
+      ? undefined
+      : new ApiError(415, "Chunks must be sent as application/octet-stream")
+  );
+
+router
+  .route("/")
+  .post(verifyJWT, validate(initiateUploadSchema), initiateUpload);
+
+router
+  .route("/:uploadId")
+  .get(verifyJWT, validate(uploadIdSchema), verifyUploadOwner, getUploadStatus)
+  .put(
+    verifyJWT,
+    validate(uploadChunkSchema),
+    verifyUploadOwner,
+    requireOctetStream,
+    express.raw({
+      type: "application/octet-stream",
+      limit: UPLOAD_CHUNK_MAX_SIZE,
+    }),
+    uploadChunk
+  );
+
+router
+  .route("/:uploadId/complete")
+  .post(
+    verifyJWT,
+    validate(uploadIdSchema),
+    verifyUploadOwner,
+    upload.single("thumbnail"),
+    validate(finalizeUploadSchema),
+    finalizeUpload
+  );
+
+export default router;
@@ -3,7 +3,6 @@ import {
   changeCurrentPassword,
   getCurrentUser,
   getUserChannelProfile,
-  getWatchHistory,
   loginUser,
   logoutUser,
   refreshAccessToken,
@@ -12,8 +11,19 @@ import {
   updateUserAvatar,
   updateUserCoverImage,
 } from "../controllers/user.controllers.js";
+import { getWatchHistory } from "../controllers/history.controller.js";
 import { upload } from "../middlewares/multer.middleware.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  changePasswordSchema,
+  channelProfileSchema,
+  loginUserSchema,
+  refreshAccessTokenSchema,
+  registerUserSchema,
+  updateAccountSchema,
+} from "../validators/user.validator.js";
+import { getWatchHistorySchema } from "../validators/history.validator.js";
 const router = Router();
 
 router.route("/register").post(
@@ -27,20 +37,36 @@ router.route("/register").post(
       maxCount: 1,
     },
   ]),
+  validate(registerUserSchema),
   registerUser
 );
 
-router.route("/login").post(loginUser);
+router.route("/login").post(validate(loginUserSchema), loginUser);
 
 //secured routes
 router.route("/logout").post(verifyJWT, logoutUser);
-router.route("/refresh-token").post(refreshAccessToken);
-router.route("/change-password").post(verifyJWT, changeCurrentPassword);
-router.route("/current-user").get(verifyJWT, getCurrentUser)
-router.route("/update-account").patch(verifyJWT, updateAccountDetails);
+router
+  .route("/refresh-token")
+  .post(validate(refreshAccessTokenSchema), refreshAccessToken);
+router
+  .route("/change-password")
+  .post(verifyJWT, validate(changePasswordSchema), changeCurrentPassword);
+router.route("/current-user").get(verifyJWT, getCurrentUser);
+router
+  .route("/update-account")
+  .patch(verifyJWT, validate(updateAccountSchema), updateAccountDetails);
 
-router.route("/avatar").patch(verifyJWT, upload.single("avatar"), updateUserAvatar);
-router.route("/cover-image").patch(verifyJWT, upload.single("coverImage"), updateUserCoverImage);
-router.route("/c/:username").get(verifyJWT, getUserChannelProfile);
-router.route("/history").get(verifyJWT, getWatchHistory);
+router
+  .route("/avatar")
+  .patch(verifyJWT, upload.single("avatar"), updateUserAvatar);
+router
+  .route("/cover-image")
+  .patch(verifyJWT, upload.single("coverImage"), updateUserCoverImage);
+router
+  .route("/c/:username")
+  .get(verifyJWT, validate(channelProfileSchema), getUserChannelProfile);
+// Kept for existing clients, the history is managed under /api/v1/history
+router
+  .route("/history")
+  .get(verifyJWT, validate(getWatchHistorySchema), getWatchHistory);
 export default router;
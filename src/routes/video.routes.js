@@ -3,21 +3,50 @@ import {
   deleteVideo,
   getAllVideos,
   getNextVideos,
+  getSearchSuggestions,
+  getTopTags,
+  getTrendingVideos,
+  getVideoCategories,
+  getVideosByCategory,
+  getVideosByTag,
   getVideoById,
   getVideoByIdForGuest,
+  getVideoProcessingStatus,
   publishAVideo,
+  selectThumbnailCandidate,
   togglePublishStatus,
   updateVideo,
   updateVideoViews,
 } from "../controllers/video.controller.js";
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { optionalJWT, verifyJWT } from "../middlewares/auth.middleware.js";
+import {
+  streamHlsFile,
+  streamVideo,
+} from "../controllers/stream.controller.js";
 import { upload } from "../middlewares/multer.middleware.js";
+import { verifyOwnership } from "../middlewares/ownership.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { Video } from "../models/video.model.js";
+import {
+  getAllVideosSchema,
+  getNextVideosSchema,
+  getTopTagsSchema,
+  getTrendingVideosSchema,
+  getVideosByCategorySchema,
+  getVideosByTagSchema,
+  getVideoByIdSchema,
+  publishVideoSchema,
+  searchSuggestionsSchema,
+  selectThumbnailSchema,
+  updateVideoSchema,
+  videoIdSchema,
+} from "../validators/video.validator.js";
 
 const router = Router();
 
 router
   .route("/")
-  .get(getAllVideos)
+  .get(validate(getAllVideosSchema), getAllVideos)
   .post(
     verifyJWT,
     upload.fields([
@@ -30,21 +59,92 @@ router
         maxCount: 1,
       },
     ]),
+    validate(publishVideoSchema),
     publishAVideo
   );
 
+router
+  .route("/suggestions")
+  .get(validate(searchSuggestionsSchema), getSearchSuggestions);
+
+router.route("/tags").get(validate(getTopTagsSchema), getTopTags);
+
+router.route("/tags/:tag").get(validate(getVideosByTagSchema), getVideosByTag);
+
+router
+  .route("/trending")
+  .get(validate(getTrendingVideosSchema), getTrendingVideos);
+
+router.route("/categories").get(getVideoCategories);
+
+router
+  .route("/categories/:category")
+  .get(validate(getVideosByCategorySchema), getVideosByCategory);
+
 router
   .route("/v/:videoId")
-  .get(verifyJWT, getVideoById)
-  .delete(verifyJWT, deleteVideo)
-  .patch(verifyJWT, upload.single("thumbnail"), updateVideo);
+  .get(verifyJWT, validate(getVideoByIdSchema), getVideoById)
+  .delete(
+    verifyJWT,
+    validate(videoIdSchema),
+    verifyOwnership(Video, "videoId"),
+    deleteVideo
+  )
+  .patch(
+    verifyJWT,
+    verifyOwnership(Video, "videoId"),
+    upload.single("thumbnail"),
+    validate(updateVideoSchema),
+    updateVideo
+  );
+
+router
+  .route("/toggle/publish/:videoId")
+  .patch(
+    verifyJWT,
+    validate(videoIdSchema),
+    verifyOwnership(Video, "videoId"),
+    togglePublishStatus
+  );
+
+router
+  .route("/thumbnail/:videoId")
+  .patch(
+    verifyJWT,
+    validate(selectThumbnailSchema),
+    verifyOwnership(Video, "videoId"),
+    selectThumbnailCandidate
+  );
+
+router
+  .route("/processing/:videoId")
+  .get(
+    verifyJWT,
+    validate(videoIdSchema),
+    verifyOwnership(Video, "videoId"),
+    getVideoProcessingStatus
+  );
+
+// Streaming works without logging in for published videos, the owner also gets unpublished ones
+router
+  .route("/stream/:videoId")
+  .get(optionalJWT, validate(videoIdSchema), streamVideo);
 
-router.route("/toggle/publish/:videoId").patch(verifyJWT, togglePublishStatus);
+router
+  .route("/stream/:videoId/hls/:fileName")
+  .get(optionalJWT, validate(videoIdSchema), streamHlsFile);
 
-router.route("/next/:videoId").get(getNextVideos);
+// Logged in viewers get videos they already watched ranked lower
+router
+  .route("/next/:videoId")
+  .get(optionalJWT, validate(getNextVideosSchema), getNextVideos);
 
-router.route("/v/guest/:videoId").get(getVideoByIdForGuest);
+router
+  .route("/v/guest/:videoId")
+  .get(validate(videoIdSchema), getVideoByIdForGuest);
 
-router.route("/update/views/:videoId").patch(verifyJWT, updateVideoViews);
+router
+  .route("/update/views/:videoId")
+  .patch(verifyJWT, validate(videoIdSchema), updateVideoViews);
 
 export default router;
@@ -1,42 +0,0 @@
-import { v2 as cloudinary } from "cloudinary";
-import fs from "fs";
-
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
-const uploadOnCloudinary = async (localFilePath) => {
-  try {
-    if (!localFilePath) return null;
-
-    // Upload the file on Cloudinary
-    const response = await cloudinary.uploader.upload(localFilePath, {
-      resource_type: "auto",
-    });
-
-    // File has been uploaded successfully
-    // console.log("file is uploaded on cloudinary ", response.url);
-    fs.unlinkSync(localFilePath); 
-    return response;
-  } catch (error) {
-    console.error("Error uploading to Cloudinary:", error);
-    fs.unlinkSync(localFilePath); // Remove the locally saved temporary file as the upload operation failed
-    return null;
-  }
-};
-
-const deleteFromCloudinary = async (fileId) => {
-  try {
-    if (!fileId) return null;
-    //delete the file on cloudinary
-    const response = await cloudinary.uploader.destroy(fileId);
-    if (response) fs.unlinkSync(localFilePath);
-    return response;
-  } catch (error) {
-    return null;
-  }
-};
-
-export { uploadOnCloudinary, deleteFromCloudinary };
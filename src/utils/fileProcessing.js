@@ -1,11 +1,28 @@
 import ffmpeg from "fluent-ffmpeg";
 import sharp from "sharp";
 import fs from "fs";
+import path from "path";
 import { promisify } from "util";
+import {
+  HLS_RENDITIONS,
+  HLS_SEGMENT_DURATION,
+  THUMBNAIL_CANDIDATE_COUNT,
+  PREVIEW_FRAME_INTERVAL,
+  PREVIEW_MAX_FRAMES,
+  PREVIEW_TILE_WIDTH,
+  PREVIEW_SPRITE_COLUMNS,
+  MAX_VIDEO_DURATION,
+  MAX_VIDEO_UPLOAD_SIZE,
+} from "../constants.js";
+import { ApiError } from "./ApiError.js";
 
 const unlinkAsync = promisify(fs.unlink);
 const accessAsync = promisify(fs.access);
 
+const HLS_MASTER_PLAYLIST = "master.m3u8";
+const PREVIEW_SPRITE = "sprite.jpg";
+const PREVIEW_TRACK = "thumbnails.vtt";
+
 // Preprocess Thumbnail
 export async function preprocessThumbnail(thumbnailPath) {
   const outputPath = thumbnailPath + "-optimized.jpg";
@@ -36,29 +53,355 @@ export async function preprocessAvatar(avatarPath) {
   return outputPath;
 }
 
-// Preprocess Video
-export async function preprocessVideo(videoPath) {
-  const outputPath = videoPath + "-optimized.mp4";
+// ffprobe reports frame rates as fractions, e.g. "30000/1001"
+const parseFrameRate = (rate) => {
+  const [numerator, denominator] = String(rate).split("/").map(Number);
+  if (!numerator || !denominator) return undefined;
+  return Math.round((numerator / denominator) * 100) / 100;
+};
+
+const greatestCommonDivisor = (a, b) =>
+  b ? greatestCommonDivisor(b, a % b) : a;
+
+// Prefer the display aspect ratio from the container, it accounts for non-square pixels
+const getAspectRatio = (videoStream) => {
+  const displayAspectRatio = videoStream?.display_aspect_ratio;
+  if (/^[1-9]\d*:[1-9]\d*$/.test(displayAspectRatio || "")) {
+    return displayAspectRatio;
+  }
+
+  const { width, height } = videoStream || {};
+  if (!width || !height) return undefined;
+
+  const divisor = greatestCommonDivisor(width, height);
+  return `${width / divisor}:${height / divisor}`;
+};
+
+// Read the technical metadata of a video with ffprobe
+export async function probeVideo(videoPath) {
+  const metadata = await new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(videoPath, (error, data) =>
+      error
+        ? reject(new Error(`Failed to probe video: ${error.message}`))
+        : resolve(data)
+    );
+  });
+
+  const videoStream = metadata.streams.find(
+    (stream) => stream.codec_type === "video"
+  );
+  const audioStream = metadata.streams.find(
+    (stream) => stream.codec_type === "audio"
+  );
+
+  return {
+    duration: Number(metadata.format?.duration) || 0,
+    width: videoStream?.width,
+    height: videoStream?.height,
+    aspectRatio: getAspectRatio(videoStream),
+    frameRate: parseFrameRate(
+      videoStream?.avg_frame_rate || videoStream?.r_frame_rate
+    ),
+    videoCodec: videoStream?.codec_name,
+    audioCodec: audioStream?.codec_name,
+    bitrate: Number(metadata.format?.bit_rate) || undefined, // bits per second
+    size: Number(metadata.format?.size) || undefined, // bytes
+    container: metadata.format?.format_name,
+    hasVideo: Boolean(videoStream),
+    hasAudio: Boolean(audioStream),
+  };
+}
+
+// Duration and size limits for uploaded videos, read from the environment on every call
+export const getVideoLimits = () => ({
+  maxDuration: Number(process.env.VIDEO_MAX_DURATION) || MAX_VIDEO_DURATION,
+  maxSize: Number(process.env.VIDEO_MAX_SIZE) || MAX_VIDEO_UPLOAD_SIZE,
+});
+
+// Probe an uploaded video and reject it if it isn't a decodable video or is over the limits.
+// Returns the metadata that is stored on the Video document.
+export async function extractVideoMetadata(videoPath) {
+  let metadata;
+  try {
+    metadata = await probeVideo(videoPath);
+  } catch (error) {
+    throw new ApiError(422, "File is not a decodable video");
+  }
+
+  if (!metadata.hasVideo || !metadata.width || !metadata.height) {
+    throw new ApiError(422, "File doesn't contain a video stream");
+  }
+
+  if (!metadata.duration) {
+    throw new ApiError(422, "Video duration couldn't be read");
+  }
+
+  const { maxDuration, maxSize } = getVideoLimits();
+
+  if (metadata.duration > maxDuration) {
+    throw new ApiError(
+      422,
+      `Video must be at most ${maxDuration} seconds long`
+    );
+  }
+
+  // The container size is missing for some formats, the file on disk is checked instead
+  const size = metadata.size || (await fs.promises.stat(videoPath)).size;
+  if (size > maxSize) {
+    throw new ApiError(413, `Video must be at most ${maxSize} bytes`);
+  }
+
+  return { ...metadata, size };
+}
+
+// Encode one rendition of the HLS ladder into outputDir as <name>.m3u8 plus its segments
+function encodeHlsRendition(videoPath, outputDir, rendition, source) {
+  const { name, height, videoBitrate, audioBitrate } = rendition;
+
+  // One keyframe per segment at the source frame rate, 30 fps when the probe didn't report one
+  const gopSize = Math.max(
+    1,
+    Math.round((source.frameRate || 30) * HLS_SEGMENT_DURATION)
+  );
 
   return new Promise((resolve, reject) => {
     ffmpeg(videoPath)
       .outputOptions([
-        "-preset veryfast",
-        "-crf 28", // Lower CRF = higher quality
-        "-s 1280x720", // Resize to 720p
+        "-vf",
+        `scale=-2:${height}`,
+        "-c:v",
+        "libx264",
+        "-preset",
+        "veryfast",
+        "-b:v",
+        `${videoBitrate}k`,
+        "-maxrate",
+        `${Math.round(videoBitrate * 1.07)}k`,
+        "-bufsize",
+        `${videoBitrate * 2}k`,
+        // Keyframes exactly on segment boundaries so every rendition cuts segments at the same points,
+        // forced by time as well for variable and fractional frame rates
+        "-g",
+        `${gopSize}`,
+        "-keyint_min",
+        `${gopSize}`,
+        "-sc_threshold",
+        "0",
+        "-force_key_frames",
+        `expr:gte(t,n_forced*${HLS_SEGMENT_DURATION})`,
+        ...(source.hasAudio
+          ? ["-c:a", "aac", "-b:a", `${audioBitrate}k`, "-ac", "2"]
+          : ["-an"]),
+        "-f",
+        "hls",
+        "-hls_time",
+        `${HLS_SEGMENT_DURATION}`,
+        "-hls_playlist_type",
+        "vod",
+        "-hls_segment_filename",
+        path.join(outputDir, `${name}_%03d.ts`),
       ])
-      .output(outputPath)
-      .on("end", async () => {
-        try {
-          await unlinkAsync(videoPath); // Delete original file after successful optimization
-          resolve(outputPath);
-        } catch (error) {
-          reject(new Error(`Failed to delete original video: ${error}`));
-        }
-      })
+      .output(path.join(outputDir, `${name}.m3u8`))
+      .on("end", () => resolve())
       .on("error", (err) =>
-        reject(new Error(`Failed to preprocess video: ${err}`))
+        reject(new Error(`Failed to transcode ${name} rendition: ${err}`))
       )
       .run();
   });
-}
\ No newline at end of file
+}
+
+// Transcode a video into an HLS ladder with a master playlist in outputDir, never upscaling
+export async function transcodeToHls(videoPath, outputDir) {
+  const source = await probeVideo(videoPath);
+
+  if (!source.hasVideo || !source.height) {
+    throw new Error("Failed to transcode video: no video stream found");
+  }
+
+  // Sources smaller than the lowest rung still get one rendition at their own height
+  const ladder = HLS_RENDITIONS.filter((rung) => rung.height <= source.height);
+  const rungs = ladder.length
+    ? ladder
+    : [{ ...HLS_RENDITIONS[0], height: source.height - (source.height % 2) }];
+
+  const renditions = rungs.map((rung) => {
+    // libx264 needs even dimensions, same as scale=-2 computes
+    const width =
+      Math.round((source.width * rung.height) / source.height / 2) * 2;
+
+    return {
+      ...rung,
+      name: `${rung.height}p`,
+      width,
+      bandwidth:
+        (rung.videoBitrate + (source.hasAudio ? rung.audioBitrate : 0)) * 1000,
+    };
+  });
+
+  await fs.promises.mkdir(outputDir, { recursive: true });
+
+  // One rendition at a time, ffmpeg already uses every core
+  for (const rendition of renditions) {
+    await encodeHlsRendition(videoPath, outputDir, rendition, source);
+  }
+
+  const masterPlaylist = [
+    "#EXTM3U",
+    "#EXT-X-VERSION:3",
+    ...renditions.flatMap((rendition) => [
+      `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height}`,
+      `${rendition.name}.m3u8`,
+    ]),
+  ].join("\n");
+
+  await fs.promises.writeFile(
+    path.join(outputDir, HLS_MASTER_PLAYLIST),
+    `${masterPlaylist}\n`
+  );
+
+  return {
+    duration: source.duration,
+    masterPlaylist: HLS_MASTER_PLAYLIST,
+    renditions: renditions.map(({ name, width, height, bandwidth }) => ({
+      name,
+      width,
+      height,
+      bandwidth,
+      playlist: `${name}.m3u8`,
+    })),
+  };
+}
+
+// Grab evenly spaced frames from a video and optimize them like uploaded thumbnails
+export async function extractThumbnailCandidates(
+  videoPath,
+  outputDir,
+  count = THUMBNAIL_CANDIDATE_COUNT
+) {
+  await fs.promises.mkdir(outputDir, { recursive: true });
+
+  const frameNames = await new Promise((resolve, reject) => {
+    let names = [];
+    ffmpeg(videoPath)
+      .on("filenames", (filenames) => (names = filenames))
+      .on("end", () => resolve(names))
+      .on("error", (err) =>
+        reject(new Error(`Failed to extract thumbnail candidates: ${err}`))
+      )
+      // Without timestamps ffmpeg spreads the frames over the video, skipping the very start and end
+      .screenshots({
+        count,
+        folder: outputDir,
+        filename: "candidate-%i.png",
+      });
+  });
+
+  // One at a time, sharp already uses every core
+  const candidatePaths = [];
+  for (const frameName of frameNames) {
+    candidatePaths.push(
+      await preprocessThumbnail(path.join(outputDir, frameName))
+    );
+  }
+
+  return candidatePaths;
+}
+
+// Format seconds as a WebVTT timestamp, e.g. 00:01:05.000
+const toVttTimestamp = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = (seconds % 60).toFixed(3).padStart(6, "0");
+  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}:${rest}`;
+};
+
+// Build a sprite sheet of small frames and a WebVTT track mapping each time range to its tile.
+// Both files are written to outputDir, the track refers to the sprite by its relative name.
+// Resolves to null when ffmpeg couldn't extract any frame, the video then has no preview.
+export async function generatePreviewTrack(videoPath, outputDir) {
+  const source = await probeVideo(videoPath);
+
+  if (!source.hasVideo || !source.duration) {
+    throw new Error("Failed to generate preview track: no video stream found");
+  }
+
+  // Long videos get fewer frames per minute so the sprite stays small
+  const interval = Math.max(
+    PREVIEW_FRAME_INTERVAL,
+    Math.ceil(source.duration / PREVIEW_MAX_FRAMES)
+  );
+  const tileWidth = PREVIEW_TILE_WIDTH;
+  const tileHeight =
+    Math.round((tileWidth * source.height) / source.width / 2) * 2;
+
+  const framesDir = path.join(outputDir, "frames");
+  await fs.promises.mkdir(framesDir, { recursive: true });
+
+  await new Promise((resolve, reject) => {
+    ffmpeg(videoPath)
+      .outputOptions([
+        "-vf",
+        `fps=1/${interval},scale=${tileWidth}:${tileHeight}`,
+        "-q:v",
+        "5",
+      ])
+      .output(path.join(framesDir, "frame-%04d.jpg"))
+      .on("end", () => resolve())
+      .on("error", (err) =>
+        reject(new Error(`Failed to extract preview frames: ${err}`))
+      )
+      .run();
+  });
+
+  const frameNames = (await fs.promises.readdir(framesDir)).sort();
+
+  // Nothing decodable to preview, e.g. a video shorter than a frame or a broken stream
+  if (!frameNames.length) {
+    await fs.promises.rm(outputDir, { recursive: true, force: true });
+    return null;
+  }
+
+  const columns = Math.min(PREVIEW_SPRITE_COLUMNS, frameNames.length);
+  const rows = Math.ceil(frameNames.length / columns);
+
+  const tiles = frameNames.map((frameName, index) => ({
+    input: path.join(framesDir, frameName),
+    left: (index % columns) * tileWidth,
+    top: Math.floor(index / columns) * tileHeight,
+  }));
+
+  try {
+    await sharp({
+      create: {
+        width: columns * tileWidth,
+        height: rows * tileHeight,
+        channels: 3,
+        background: { r: 0, g: 0, b: 0 },
+      },
+    })
+      .composite(tiles)
+      .jpeg({ quality: 70 })
+      .toFile(path.join(outputDir, PREVIEW_SPRITE));
+  } catch (error) {
+    throw new Error(`Failed to build preview sprite: ${error}`);
+  }
+
+  // Only the sprite and the track are uploaded
+  await fs.promises.rm(framesDir, { recursive: true, force: true });
+
+  const cues = tiles.map((tile, index) => {
+    const start = index * interval;
+    const end = Math.min(start + interval, source.duration);
+    return [
+      `${toVttTimestamp(start)} --> ${toVttTimestamp(end)}`,
+      `${PREVIEW_SPRITE}#xywh=${tile.left},${tile.top},${tileWidth},${tileHeight}`,
+    ].join("\n");
+  });
+
+  await fs.promises.writeFile(
+    path.join(outputDir, PREVIEW_TRACK),
+    `WEBVTT\n\n${cues.join("\n\n")}\n`
+  );
+
+  return { track: PREVIEW_TRACK, sprite: PREVIEW_SPRITE };
+}
@@ -0,0 +1,207 @@
+import os from "os";
+import crypto from "crypto";
+import { Job } from "../models/job.model.js";
+import {
+  JOB_MAX_ATTEMPTS,
+  JOB_RETRY_BASE_DELAY,
+  JOB_RETRY_MAX_DELAY,
+  JOB_LOCK_TIMEOUT,
+  JOB_HEARTBEAT_INTERVAL,
+  JOB_POLL_INTERVAL,
+} from "../constants.js";
+
+const handlers = {};
+
+// Register the function that runs jobs of a type.
+// handler(payload, { job, setProgress }) runs on every attempt and should be safe to repeat.
+// onDead(payload, error) runs once when the job has used up its attempts.
+export const registerJobHandler = (type, handler, { onDead } = {}) => {
+  handlers[type] = { handler, onDead };
+};
+
+// Add a job to the queue, it is picked up by the next free worker
+export const enqueueJob = (type, payload, options = {}) =>
+  Job.create({
+    type,
+    payload,
+    maxAttempts: options.maxAttempts || JOB_MAX_ATTEMPTS,
+    runAt: options.runAt || new Date(),
+  });
+
+// Queue a job of a type unless one is already waiting or running, for work that repeats on a schedule.
+// The unique index on singletonKey keeps workers that schedule at the same time from queueing it twice.
+export const ensureJobQueued = async (type, payload = {}) => {
+  try {
+    return await Job.findOneAndUpdate(
+      { singletonKey: type },
+      {
+        $setOnInsert: {
+          type,
+          payload,
+          status: "queued",
+          runAt: new Date(),
+          singletonKey: type,
+        },
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Another worker's upsert won the race, its job is the one that runs
+    if (error?.code === 11000) return Job.findOne({ singletonKey: type });
+    throw error;
+  }
+};
+
+// Exponential backoff between attempts: 30s, 1m, 2m, ... capped at an hour
+const getRetryDelay = (attempts) =>
+  Math.min(JOB_RETRY_BASE_DELAY * 2 ** (attempts - 1), JOB_RETRY_MAX_DELAY);
+
+// Lock the oldest due job of one of the given types
+const claimJob = (workerId, types) =>
+  Job.findOneAndUpdate(
+    {
+      status: "queued",
+      runAt: { $lte: new Date() },
+      type: { $in: types },
+    },
+    {
+      $set: { status: "processing", lockedAt: new Date(), lockedBy: workerId },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+
+// Filter matching a job only while it is still locked by the run that claimed it
+const lockedByRun = (job) => ({
+  _id: job._id,
+  status: "processing",
+  lockedBy: job.lockedBy,
+});
+
+// Schedule a retry, or move the job to the dead-letter state once it is out of attempts.
+// Extra conditions let the stale job check fail a job only if it didn't send a heartbeat in the meantime.
+const failJob = async (job, error, conditions = {}) => {
+  const isDead = job.attempts >= job.maxAttempts;
+
+  // Matching on the lock keeps a worker from failing a job that was already reclaimed
+  const failedJob = await Job.findOneAndUpdate(
+    { ...lockedByRun(job), ...conditions },
+    {
+      $set: {
+        status: isDead ? "dead" : "queued",
+        runAt: new Date(Date.now() + getRetryDelay(job.attempts)),
+        lastError: error?.message || String(error),
+      },
+      // A dead job no longer holds its type, so the next schedule can queue a new one
+      $unset: {
+        lockedAt: "",
+        lockedBy: "",
+        ...(isDead && { singletonKey: "" }),
+      },
+    },
+    { new: true }
+  );
+
+  if (failedJob && isDead) {
+    await handlers[job.type]?.onDead?.(job.payload, error);
+  }
+};
+
+const completeJob = async (job) => {
+  const result = await Job.updateOne(lockedByRun(job), {
+    $set: { status: "completed", progress: 100, completedAt: new Date() },
+    $unset: { lockedAt: "", lockedBy: "", lastError: "", singletonKey: "" },
+  });
+
+  if (!result.matchedCount) {
+    console.error(
+      `Job ${job._id} (${job.type}) lost its lock before completing`
+    );
+  }
+};
+
+const runJob = async (job) => {
+  // Refreshing lockedAt keeps long jobs from being treated as crashed, progress updates count too
+  const heartbeat = (update = {}) =>
+    Job.updateOne(lockedByRun(job), {
+      $set: { lockedAt: new Date(), ...update },
+    });
+  const setProgress = (progress) => heartbeat({ progress });
+
+  const heartbeatTimer = setInterval(
+    () =>
+      heartbeat().catch((error) =>
+        console.error(`Job ${job._id} heartbeat failed:`, error)
+      ),
+    JOB_HEARTBEAT_INTERVAL
+  );
+
+  try {
+    await handlers[job.type].handler(job.payload, { job, setProgress });
+    await completeJob(job);
+  } catch (error) {
+    console.error(`Job ${job._id} (${job.type}) failed:`, error);
+    await failJob(job, error);
+  } finally {
+    clearInterval(heartbeatTimer);
+  }
+};
+
+// Fail jobs whose worker stopped sending heartbeats, so they are retried
+const recoverStaleJobs = async () => {
+  const staleJobs = await Job.find({
+    status: "processing",
+    lockedAt: { $lt: new Date(Date.now() - JOB_LOCK_TIMEOUT) },
+  });
+
+  for (const job of staleJobs) {
+    await failJob(job, new Error("Job timed out"), { lockedAt: job.lockedAt });
+  }
+};
+
+// Poll the queue and run up to `concurrency` jobs of the given types at a time, all registered types by default.
+// Returns a stop function that resolves once the running jobs have finished.
+export const startJobWorker = ({
+  concurrency = 1,
+  pollInterval = JOB_POLL_INTERVAL,
+  types = Object.keys(handlers),
+} = {}) => {
+  const workerId = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+  const running = new Set();
+  let isStopped = false;
+  let isPolling = false;
+
+  const poll = async () => {
+    if (isStopped || isPolling) return;
+    isPolling = true;
+
+    try {
+      await recoverStaleJobs();
+
+      while (!isStopped && running.size < concurrency) {
+        const job = await claimJob(workerId, types);
+        if (!job) break;
+
+        // Check for more work as soon as a job frees its slot
+        const jobRun = runJob(job).finally(() => {
+          running.delete(jobRun);
+          poll();
+        });
+        running.add(jobRun);
+      }
+    } catch (error) {
+      console.error("Job worker poll failed:", error);
+    } finally {
+      isPolling = false;
+    }
+  };
+
+  poll();
+  const timer = setInterval(poll, pollInterval);
+
+  return async () => {
+    isStopped = true;
+    clearInterval(timer);
+    await Promise.allSettled([...running]);
+  };
+};
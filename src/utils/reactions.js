@@ -0,0 +1,121 @@
+import { Like } from "../models/like.model.js";
+
+// Aggregation expression for the reaction type of a like, older documents without a type are likes
+const reactionTypeOf = (typeField) => ({ $ifNull: [typeField, "like"] });
+
+// Aggregation expression counting the likes in an array field that carry the given reaction type
+const countReactionExpr = (likesField, type) => ({
+  $size: {
+    $filter: {
+      input: likesField,
+      as: "like",
+      cond: { $eq: [reactionTypeOf("$$like.type"), type] },
+    },
+  },
+});
+
+// Lookup stage counting the reactions of one type on each document, without loading the likes.
+// foreignField is the field of the likes pointing at the document, e.g. "video".
+const reactionCountLookup = (foreignField, type, as) => ({
+  $lookup: {
+    from: "likes",
+    localField: "_id",
+    foreignField,
+    as,
+    pipeline: [
+      {
+        $match: { type: type === "like" ? { $in: ["like", null] } : type },
+      },
+      {
+        $count: "count",
+      },
+    ],
+  },
+});
+
+// Aggregation expression for the number left by a lookup ending in $count, which is empty when nothing matched
+const lookupCountExpr = (field) => ({
+  $ifNull: [{ $first: `${field}.count` }, 0],
+});
+
+// Aggregation expression for the reaction userId left in an array field of likes, or null
+const userReactionExpr = (likesField, userId) => ({
+  $let: {
+    vars: {
+      mine: {
+        $filter: {
+          input: likesField,
+          as: "like",
+          cond: { $eq: ["$$like.likedBy", userId] },
+        },
+      },
+    },
+    in: {
+      $cond: {
+        if: { $gt: [{ $size: "$$mine" }, 0] },
+        then: reactionTypeOf({ $first: "$$mine.type" }),
+        else: null,
+      },
+    },
+  },
+});
+
+// Counts the reactions on a target (e.g. { video: id }) grouped by type
+const countReactions = async (target) => {
+  const groups = await Like.aggregate([
+    {
+      $match: target,
+    },
+    {
+      $group: {
+        _id: reactionTypeOf("$type"),
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  return groups.reduce(
+    (counts, group) => ({ ...counts, [group._id]: group.count }),
+    {}
+  );
+};
+
+// Sets the reaction of userId on a target, removing it when the same reaction is sent again
+const toggleReaction = async (target, userId, type) => {
+  const filter = { ...target, likedBy: userId };
+
+  // Sending the same reaction twice removes it
+  const removed = await Like.findOneAndDelete({
+    ...filter,
+    type: type === "like" ? { $in: ["like", null] } : type,
+  });
+
+  if (removed) return null;
+
+  // Upsert switches an existing reaction to the new type in a single write
+  const upsert = () =>
+    Like.findOneAndUpdate(
+      filter,
+      { $set: { type } },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+  try {
+    await upsert();
+  } catch (error) {
+    // A concurrent request inserted the document first, the retry updates it instead
+    if (error?.code !== 11000) throw error;
+    await upsert();
+  }
+
+  return type;
+};
+
+export {
+  countReactionExpr,
+  reactionCountLookup,
+  lookupCountExpr,
+  userReactionExpr,
+  countReactions,
+  toggleReaction,
+};
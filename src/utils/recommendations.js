@@ -0,0 +1,219 @@
+import { Video } from "../models/video.model.js";
+import { WatchHistory } from "../models/watchHistory.model.js";
+import { Trending } from "../models/trending.model.js";
+import {
+  RECOMMENDATION_WEIGHTS,
+  RECOMMENDATION_RECENCY_HALF_LIFE_DAYS,
+  RECOMMENDATION_WATCHED_FACTOR,
+  RECOMMENDATION_CO_WATCH_USERS,
+  RECOMMENDATION_CO_WATCH_VIDEOS,
+} from "../constants.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Words too common to say anything about what a video is about
+const STOP_WORDS = new Set(
+  `the and for with you your how what this that
+  from are was not but all can our out about`.split(/\s+/)
+);
+
+// Same pattern on both sides so terms extracted in JS and in the pipeline match, MongoDB regexes are always UTF-8
+const TERM_PATTERN = "[\\p{L}\\p{N}]+";
+
+// Lowercased title words, without stop words and very short words
+const extractTitleTerms = (title = "") => [
+  ...new Set(
+    (title.toLowerCase().match(new RegExp(TERM_PATTERN, "gu")) || []).filter(
+      (term) => term.length > 2 && !STOP_WORDS.has(term)
+    )
+  ),
+];
+
+// Videos watched by people who also watched this one, with how many of them watched each
+const findCoWatchedVideos = async (videoId) => {
+  const recentViewers = await WatchHistory.find({ video: videoId })
+    .sort({ watchedAt: -1 })
+    .limit(RECOMMENDATION_CO_WATCH_USERS)
+    .select("user");
+
+  return WatchHistory.aggregate([
+    {
+      $match: {
+        user: { $in: recentViewers.map((entry) => entry.user) },
+        video: { $ne: videoId },
+      },
+    },
+    {
+      $group: { _id: "$video", viewers: { $sum: 1 } },
+    },
+    {
+      $sort: { viewers: -1, _id: 1 },
+    },
+    {
+      $limit: RECOMMENDATION_CO_WATCH_VIDEOS,
+    },
+  ]);
+};
+
+const findWatchedVideoIds = (userId) =>
+  userId ? WatchHistory.distinct("video", { user: userId }) : [];
+
+// Trending and newest videos, for when too few videos are related to fill the requested pages.
+// Both are read from an index, unpublished ones are dropped by the pipeline's match.
+const findFallbackVideoIds = async (count) => {
+  const [trending, newest] = await Promise.all([
+    Trending.find().sort({ score: -1 }).limit(count).select("video"),
+    Video.find({ isPublished: true })
+      .sort({ _id: -1 })
+      .limit(count)
+      .select("_id"),
+  ]);
+
+  return [
+    ...trending.map((entry) => entry.video),
+    ...newest.map((entry) => entry._id),
+  ];
+};
+
+// Builds the pipeline that scores published videos related to a video as "up next".
+// Recency is measured from `now`, so pages built with the same `now` score alike. New views
+// and uploads between page requests can still move videos across pages.
+// When fewer than `minCandidates` videos are related, trending and new videos are scored as well.
+export const buildRecommendationPipeline = async (
+  video,
+  viewerId,
+  { now = new Date(), minCandidates = 0 } = {}
+) => {
+  const [coWatched, watchedVideoIds] = await Promise.all([
+    findCoWatchedVideos(video._id),
+    findWatchedVideoIds(viewerId),
+  ]);
+
+  const titleTerms = extractTitleTerms(video.title);
+  const tags = [...(video.tags || [])];
+  const coWatchedIds = coWatched.map((entry) => entry._id);
+  const maxViewers = coWatched[0]?.viewers || 1;
+  const coWatchScores = coWatched.map((entry) => entry.viewers / maxViewers);
+
+  const weights = RECOMMENDATION_WEIGHTS;
+
+  // Only videos that share at least one signal besides popularity and recency are scored,
+  // every clause can use an index so the title terms are only matched against these
+  const candidates = {
+    _id: { $ne: video._id },
+    isPublished: true,
+    $or: [
+      { owner: video.owner },
+      { _id: { $in: coWatchedIds } },
+      ...(tags.length ? [{ tags: { $in: tags } }] : []),
+      ...(video.category ? [{ category: video.category }] : []),
+      ...(titleTerms.length
+        ? [{ $text: { $search: titleTerms.join(" ") } }]
+        : []),
+    ],
+  };
+
+  if (
+    minCandidates &&
+    (await Video.countDocuments(candidates, { limit: minCandidates })) <
+      minCandidates
+  ) {
+    candidates.$or.push({
+      _id: { $in: await findFallbackVideoIds(minCandidates) },
+    });
+  }
+
+  return [
+    {
+      $match: candidates,
+    },
+    {
+      $addFields: {
+        titleTerms: {
+          $map: {
+            input: {
+              $regexFindAll: {
+                input: { $toLower: "$title" },
+                regex: TERM_PATTERN,
+              },
+            },
+            as: "term",
+            in: "$$term.match",
+          },
+        },
+        coWatchIndex: { $indexOfArray: [coWatchedIds, "$_id"] },
+      },
+    },
+    {
+      $addFields: {
+        signals: {
+          sameChannel: { $cond: [{ $eq: ["$owner", video.owner] }, 1, 0] },
+          sharedTags: tags.length
+            ? {
+                $divide: [
+                  {
+                    $size: {
+                      $setIntersection: [{ $ifNull: ["$tags", []] }, tags],
+                    },
+                  },
+                  tags.length,
+                ],
+              }
+            : 0,
+          sharedTerms: titleTerms.length
+            ? {
+                $divide: [
+                  { $size: { $setIntersection: ["$titleTerms", titleTerms] } },
+                  titleTerms.length,
+                ],
+              }
+            : 0,
+          coWatch: {
+            $cond: [
+              { $gte: ["$coWatchIndex", 0] },
+              { $arrayElemAt: [coWatchScores, "$coWatchIndex"] },
+              0,
+            ],
+          },
+          popularity: { $log10: { $add: [{ $ifNull: ["$views", 0] }, 1] } },
+          recency: {
+            $pow: [
+              0.5,
+              {
+                $divide: [
+                  { $subtract: [now, "$createdAt"] },
+                  RECOMMENDATION_RECENCY_HALF_LIFE_DAYS * DAY,
+                ],
+              },
+            ],
+          },
+        },
+      },
+    },
+    {
+      $addFields: {
+        score: {
+          $multiply: [
+            {
+              $add: Object.entries(weights).map(([signal, weight]) => ({
+                $multiply: [`$signals.${signal}`, weight],
+              })),
+            },
+            // Already watched videos sink but can still come back if nothing else fits
+            {
+              $cond: [
+                { $in: ["$_id", watchedVideoIds] },
+                RECOMMENDATION_WATCHED_FACTOR,
+                1,
+              ],
+            },
+          ],
+        },
+      },
+    },
+    {
+      // _id breaks ties so the order is the same on every page
+      $sort: { score: -1, _id: 1 },
+    },
+  ];
+};
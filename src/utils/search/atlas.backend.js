@@ -0,0 +1,19 @@
+// Atlas Search backend, needs a search index on the videos collection covering title and description
+const buildSearchStages = (query) => [
+  {
+    $search: {
+      index: process.env.ATLAS_SEARCH_INDEX || "search-videos",
+      text: {
+        query,
+        path: ["title", "description"],
+      },
+    },
+  },
+  {
+    $addFields: {
+      score: { $meta: "searchScore" },
+    },
+  },
+];
+
+export default { name: "atlas", buildSearchStages };
@@ -0,0 +1,119 @@
+import mongoose from "mongoose";
+import mongoBackend from "./mongo.backend.js";
+import atlasBackend from "./atlas.backend.js";
+import { streamUrlFields } from "../streamUrls.js";
+
+const backends = {
+  mongo: mongoBackend,
+  atlas: atlasBackend,
+};
+
+// The backend is chosen with SEARCH_BACKEND, the MongoDB text index is the default
+export const getSearchBackend = () => {
+  const name = process.env.SEARCH_BACKEND || "mongo";
+  const backend = backends[name];
+
+  if (!backend) {
+    throw new Error(
+      `Unknown SEARCH_BACKEND "${name}", expected one of: ${Object.keys(backends).join(", ")}`
+    );
+  }
+
+  return backend;
+};
+
+// Builds the pipeline that lists published videos, optionally searched and filtered.
+// Every backend adds a `score` field when searching, so the results look the same whichever is used.
+export const buildVideoSearchPipeline = ({
+  query,
+  userId,
+  minDuration,
+  maxDuration,
+  uploadedAfter,
+  uploadedBefore,
+  tag,
+  category,
+  sortBy,
+  sortType,
+}) => {
+  const pipeline = query ? getSearchBackend().buildSearchStages(query) : [];
+
+  // Only published videos are listed
+  const match = { isPublished: true };
+
+  // Filter by channel
+  if (userId) match.owner = new mongoose.Types.ObjectId(userId);
+
+  // Filter by duration range, in seconds
+  if (minDuration !== undefined || maxDuration !== undefined) {
+    match.duration = {};
+    if (minDuration !== undefined) match.duration.$gte = minDuration;
+    if (maxDuration !== undefined) match.duration.$lte = maxDuration;
+  }
+
+  // Filter by upload date range
+  if (uploadedAfter || uploadedBefore) {
+    match.createdAt = {};
+    if (uploadedAfter) match.createdAt.$gte = uploadedAfter;
+    if (uploadedBefore) match.createdAt.$lte = uploadedBefore;
+  }
+
+  // Filter by tag and category
+  if (tag) match.tags = tag;
+  if (category) match.category = category;
+
+  pipeline.push({ $match: match });
+
+  // Searches are ordered by relevance unless another order was asked for, lists by upload date
+  const sortField = sortBy || (query ? "relevance" : "createdAt");
+  const direction = sortType === "asc" ? 1 : -1;
+
+  pipeline.push({
+    $sort:
+      sortField === "relevance"
+        ? { score: -1, createdAt: -1, _id: -1 }
+        : { [sortField]: direction, _id: direction },
+  });
+
+  // Add stages to join the "users" collection and include the owner's details
+  pipeline.push(
+    {
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "ownerDetails",
+        pipeline: [
+          {
+            $project: {
+              username: 1,
+              fullName: 1,
+              "avatar.url": 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      $unwind: "$ownerDetails",
+    },
+    {
+      $project: {
+        title: 1,
+        description: 1,
+        "thumbnail.url": 1,
+        ...streamUrlFields(),
+        duration: 1,
+        views: 1,
+        tags: 1,
+        category: 1,
+        owner: 1,
+        ownerDetails: 1,
+        createdAt: 1,
+        ...(query && { score: 1 }),
+      },
+    }
+  );
+
+  return pipeline;
+};
@@ -0,0 +1,16 @@
+// Default backend, uses the text index declared on the Video model and works on any MongoDB
+const buildSearchStages = (query) => [
+  // $text has to be in the first stage of the pipeline
+  {
+    $match: {
+      $text: { $search: query },
+    },
+  },
+  {
+    $addFields: {
+      score: { $meta: "textScore" },
+    },
+  },
+];
+
+export default { name: "mongo", buildSearchStages };
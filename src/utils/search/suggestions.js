@@ -0,0 +1,116 @@
+import { Video } from "../../models/video.model.js";
+import { User } from "../../models/user.model.js";
+import { SearchQuery } from "../../models/searchQuery.model.js";
+import { normalizeQuery, toSearchTerms } from "./terms.js";
+import {
+  SEARCH_QUERY_MAX_LENGTH,
+  SEARCH_QUERY_HALF_LIFE_DAYS,
+  SEARCH_QUERY_MIN_COUNT,
+} from "../../constants.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Count a search in the query log. Only the text is kept, never the user who searched.
+export const recordSearchQuery = async (query) => {
+  const normalizedQuery = normalizeQuery(query);
+
+  if (!normalizedQuery || normalizedQuery.length > SEARCH_QUERY_MAX_LENGTH) {
+    return;
+  }
+
+  await SearchQuery.updateOne(
+    { query: normalizedQuery },
+    { $inc: { count: 1 }, $set: { lastSearchedAt: new Date() } },
+    { upsert: true }
+  );
+};
+
+// Past queries starting with the prefix, ranked by count decayed by the time since the last search.
+// Queries searched only a few times are left out, so one user can't put any text in the suggestions.
+const findPopularQueries = (prefix, limit) =>
+  SearchQuery.aggregate([
+    {
+      // Anchored and case-sensitive on normalized text, so the unique index on query is used
+      $match: {
+        query: { $regex: `^${escapeRegex(prefix)}` },
+        count: { $gte: SEARCH_QUERY_MIN_COUNT },
+      },
+    },
+    {
+      $addFields: {
+        rank: {
+          $multiply: [
+            "$count",
+            {
+              $pow: [
+                0.5,
+                {
+                  $divide: [
+                    { $subtract: ["$$NOW", "$lastSearchedAt"] },
+                    SEARCH_QUERY_HALF_LIFE_DAYS * DAY,
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+      },
+    },
+    {
+      $sort: { rank: -1, lastSearchedAt: -1 },
+    },
+    {
+      $limit: limit,
+    },
+    {
+      $project: { _id: 0, query: 1, count: 1 },
+    },
+  ]);
+
+// Condition on a search terms field: the complete words of the prefix have to be there,
+// and a word has to start with the last one. Anchored, so the index on the terms is used.
+const matchTerms = (prefix) => {
+  const words = toSearchTerms(prefix);
+  const lastWord = words.pop() || "";
+  const condition = { $regex: `^${escapeRegex(lastWord)}` };
+
+  if (words.length) condition.$all = words;
+  return condition;
+};
+
+// Published videos with a word in the title starting with the prefix, most viewed first
+const findMatchingVideos = (prefix, limit) =>
+  Video.find({
+    isPublished: true,
+    titleTerms: matchTerms(prefix),
+  })
+    .sort({ views: -1 })
+    .limit(limit)
+    .select("title thumbnail.url");
+
+// Channels whose username or a word of their full name starts with the prefix
+const findMatchingChannels = (prefix, limit) =>
+  User.find({
+    $or: [
+      // Usernames are stored lowercase, so this anchored match can use the index
+      { username: { $regex: `^${escapeRegex(prefix)}` } },
+      { fullNameTerms: matchTerms(prefix) },
+    ],
+  })
+    .limit(limit)
+    .select("username fullName avatar.url");
+
+// Type-ahead suggestions for the search box, grouped by where they come from
+export const findSearchSuggestions = async (query, limit) => {
+  const prefix = normalizeQuery(query);
+
+  const [queries, videos, channels] = await Promise.all([
+    findPopularQueries(prefix, limit),
+    findMatchingVideos(prefix, limit),
+    findMatchingChannels(prefix, limit),
+  ]);
+
+  return { query: prefix, queries, videos, channels };
+};
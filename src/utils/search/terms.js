@@ -0,0 +1,13 @@
+// Searches are logged and matched case-insensitively with collapsed whitespace
+export const normalizeQuery = (query) =>
+  String(query).trim().toLowerCase().replace(/\s+/g, " ");
+
+// Distinct normalized words of a title or name. Stored next to the text with their own index,
+// so type-ahead can match word prefixes with an anchored, case-sensitive regex.
+export const toSearchTerms = (text) => [
+  ...new Set(
+    normalizeQuery(text || "")
+      .split(" ")
+      .filter(Boolean)
+  ),
+];
@@ -0,0 +1,87 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { v2 as cloudinary } from "cloudinary";
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+// Upload a local file to Cloudinary using the folder/resource_type options from constants.js
+const upload = async (localFilePath, options = {}) => {
+  const response = await cloudinary.uploader.upload(localFilePath, {
+    resource_type: "auto",
+    ...options,
+  });
+
+  return {
+    fileId: response.public_id,
+    // Videos are served through their adaptive streaming url when Cloudinary provides one
+    url: response.playback_url || response.secure_url,
+    duration: response.duration,
+    width: response.width,
+    height: response.height,
+    bytes: response.bytes,
+    format: response.format,
+  };
+};
+
+// Delete a file by the public id stored on the document
+const remove = async (fileId, options = {}) => {
+  // Cloudinary only looks up images unless told otherwise
+  const response = await cloudinary.uploader.destroy(fileId, {
+    resource_type: options.resource_type || "image",
+  });
+  return response;
+};
+
+// Delete every file uploaded by uploadDirectory
+const removeDirectory = async (fileId) => {
+  return cloudinary.api.delete_resources_by_prefix(`${fileId}/`, {
+    resource_type: "raw",
+  });
+};
+
+// Upload every file of a directory under one prefix so relative references between them keep working
+const uploadDirectory = async (localDirPath, options = {}) => {
+  const prefix = path.posix.join(options.folder || "misc", crypto.randomUUID());
+  const fileNames = await fs.promises.readdir(localDirPath);
+
+  // One file at a time, an HLS ladder can have hundreds of segments
+  try {
+    for (const fileName of fileNames) {
+      await cloudinary.uploader.upload(path.join(localDirPath, fileName), {
+        resource_type: "raw",
+        // Raw public ids keep their extension, so the file name is used as is
+        public_id: `${prefix}/${fileName}`,
+      });
+    }
+  } catch (error) {
+    // The caller never learns the prefix, so the files uploaded before the failure are removed here
+    await removeDirectory(prefix).catch((cleanupError) =>
+      console.error("Error removing partial upload:", cleanupError)
+    );
+    throw error;
+  }
+
+  return {
+    fileId: prefix,
+    // A bare prefix url, without version or query string, so file names can be appended
+    baseUrl: cloudinary.url(prefix, {
+      resource_type: "raw",
+      secure: true,
+      force_version: false,
+      urlAnalytics: false,
+    }),
+  };
+};
+
+export default {
+  name: "cloudinary",
+  upload,
+  remove,
+  uploadDirectory,
+  removeDirectory,
+};
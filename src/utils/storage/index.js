@@ -0,0 +1,100 @@
+import fs from "fs";
+import cloudinaryDriver from "./cloudinary.driver.js";
+import localDriver from "./local.driver.js";
+
+const drivers = {
+  cloudinary: cloudinaryDriver,
+  local: localDriver,
+};
+
+// The driver is chosen with STORAGE_DRIVER, Cloudinary stays the default
+export const getStorageDriver = () => {
+  const name = process.env.STORAGE_DRIVER || "cloudinary";
+  const driver = drivers[name];
+
+  if (!driver) {
+    throw new Error(
+      `Unknown STORAGE_DRIVER "${name}", expected one of: ${Object.keys(drivers).join(", ")}`
+    );
+  }
+
+  return driver;
+};
+
+// Store a temp file and return { fileId, url, duration, ... }, or null if the upload failed.
+// The temp file is removed, unless keepOnFailure is set and the upload failed so it can be retried.
+const uploadMedia = async (
+  localFilePath,
+  options,
+  { keepOnFailure = false } = {}
+) => {
+  if (!localFilePath) return null;
+
+  let uploaded = false;
+  try {
+    const file = await getStorageDriver().upload(localFilePath, options);
+    uploaded = true;
+    return file;
+  } catch (error) {
+    console.error("Error uploading media:", error);
+    return null;
+  } finally {
+    // Remove the locally saved temporary file if the driver didn't move it
+    if ((uploaded || !keepOnFailure) && fs.existsSync(localFilePath)) {
+      fs.unlinkSync(localFilePath);
+    }
+  }
+};
+
+// Delete a stored file by the fileId returned from uploadMedia, pass the same options for videos
+const deleteMedia = async (fileId, options) => {
+  if (!fileId) return null;
+
+  try {
+    return await getStorageDriver().remove(fileId, options);
+  } catch (error) {
+    console.error("Error deleting media:", error);
+    return null;
+  }
+};
+
+// Store a temp directory and return { fileId, baseUrl }, or null if the upload failed.
+// The files inside are addressed as `${baseUrl}/${fileName}`. The temp directory is removed like in uploadMedia.
+const uploadMediaDirectory = async (
+  localDirPath,
+  options,
+  { keepOnFailure = false } = {}
+) => {
+  if (!localDirPath) return null;
+
+  let uploaded = false;
+  try {
+    const directory = await getStorageDriver().uploadDirectory(
+      localDirPath,
+      options
+    );
+    uploaded = true;
+    return directory;
+  } catch (error) {
+    console.error("Error uploading media directory:", error);
+    return null;
+  } finally {
+    if (uploaded || !keepOnFailure) {
+      await fs.promises.rm(localDirPath, { recursive: true, force: true });
+    }
+  }
+};
+
+// Delete a stored directory by the fileId returned from uploadMediaDirectory
+const deleteMediaDirectory = async (fileId, options) => {
+  if (!fileId) return null;
+
+  try {
+    return await getStorageDriver().removeDirectory(fileId, options);
+  } catch (error) {
+    console.error("Error deleting media directory:", error);
+    return null;
+  }
+};
+
+export { uploadMedia, deleteMedia, uploadMediaDirectory, deleteMediaDirectory };
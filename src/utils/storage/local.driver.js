@@ -0,0 +1,110 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import ffmpeg from "fluent-ffmpeg";
+
+// Directory files are written to and the public url prefix it is served under
+export const getLocalStorageConfig = () => ({
+  directory: path.resolve(process.env.LOCAL_STORAGE_DIR || "public/uploads"),
+  baseUrl: (process.env.LOCAL_STORAGE_BASE_URL || "/uploads").replace(
+    /\/$/,
+    ""
+  ),
+});
+
+// Resolve a stored file id to a path, refusing ids that point outside the storage directory
+export const resolveLocalFile = (fileId) => {
+  const { directory } = getLocalStorageConfig();
+  const filePath = path.resolve(directory, fileId);
+
+  if (!filePath.startsWith(directory + path.sep)) {
+    throw new Error(`Invalid file id: ${fileId}`);
+  }
+
+  return filePath;
+};
+
+// Read the duration of a video, Cloudinary reports it but local files have to be probed
+const probeDuration = (filePath) =>
+  new Promise((resolve) => {
+    ffmpeg.ffprobe(filePath, (error, metadata) => {
+      resolve(error ? 0 : Number(metadata?.format?.duration) || 0);
+    });
+  });
+
+// Rename is only possible on the same device, otherwise copy and remove the original
+const moveFile = async (from, to) => {
+  try {
+    await fs.promises.rename(from, to);
+  } catch (error) {
+    if (error.code !== "EXDEV") throw error;
+    await fs.promises.cp(from, to, { recursive: true });
+    await fs.promises.rm(from, { recursive: true, force: true });
+  }
+};
+
+// Move a temp file into the storage directory under the options' folder
+const upload = async (localFilePath, options = {}) => {
+  const { baseUrl } = getLocalStorageConfig();
+  const folder = options.folder || "misc";
+  const extension = path.extname(localFilePath).toLowerCase();
+
+  const fileId = path.posix.join(folder, `${crypto.randomUUID()}${extension}`);
+  const filePath = resolveLocalFile(fileId);
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await moveFile(localFilePath, filePath);
+
+  const { size } = await fs.promises.stat(filePath);
+
+  return {
+    fileId,
+    url: `${baseUrl}/${fileId}`,
+    duration:
+      options.resource_type === "video"
+        ? await probeDuration(filePath)
+        : undefined,
+    bytes: size,
+    format: extension.replace(".", ""),
+  };
+};
+
+// Delete a file by the id returned from upload
+const remove = async (fileId) => {
+  await fs.promises.rm(resolveLocalFile(fileId), { force: true });
+  return { result: "ok" };
+};
+
+// Move a directory of related files (e.g. an HLS ladder) into the storage directory as a whole
+const uploadDirectory = async (localDirPath, options = {}) => {
+  const { baseUrl } = getLocalStorageConfig();
+  const folder = options.folder || "misc";
+
+  const fileId = path.posix.join(folder, crypto.randomUUID());
+  const directoryPath = resolveLocalFile(fileId);
+
+  await fs.promises.mkdir(path.dirname(directoryPath), { recursive: true });
+  await moveFile(localDirPath, directoryPath);
+
+  return {
+    fileId,
+    baseUrl: `${baseUrl}/${fileId}`,
+  };
+};
+
+// Delete a directory by the id returned from uploadDirectory
+const removeDirectory = async (fileId) => {
+  await fs.promises.rm(resolveLocalFile(fileId), {
+    recursive: true,
+    force: true,
+  });
+  return { result: "ok" };
+};
+
+export default {
+  name: "local",
+  upload,
+  remove,
+  uploadDirectory,
+  removeDirectory,
+};
@@ -0,0 +1,26 @@
+const STREAM_ROUTE = "/api/v1/videos/stream/";
+
+// Projection fields with the urls of the stream routes, which also serve locally stored videos and
+// keep unpublished ones private. Responses return these instead of the stored media urls.
+// `from` is the path of the video document in the pipeline and `to` where the fields are added,
+// e.g. "video." for a video looked up into a like.
+const streamUrlFields = ({ from = "", to = "" } = {}) => ({
+  [`${to}streamUrl`]: {
+    $concat: [STREAM_ROUTE, { $toString: `$${from}_id` }],
+  },
+  [`${to}hlsStreamUrl`]: {
+    $cond: {
+      if: `$${from}hls.fileId`,
+      then: {
+        $concat: [
+          STREAM_ROUTE,
+          { $toString: `$${from}_id` },
+          "/hls/master.m3u8",
+        ],
+      },
+      else: "$$REMOVE",
+    },
+  },
+});
+
+export { streamUrlFields };
@@ -0,0 +1,13 @@
+// Tags are stored lowercase without "#", with spaces turned into dashes
+export const normalizeTag = (tag) =>
+  String(tag)
+    .toLowerCase()
+    .trim()
+    .replace(/^#+/, "")
+    .trim()
+    .replace(/\s+/g, "-");
+
+// Normalize a list of tags, dropping empty ones and duplicates
+export const normalizeTags = (tags) => [
+  ...new Set((tags || []).map(normalizeTag).filter(Boolean)),
+];
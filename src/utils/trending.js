@@ -0,0 +1,143 @@
+import { Video } from "../models/video.model.js";
+import { Like } from "../models/like.model.js";
+import { Comment } from "../models/comment.model.js";
+import { VideoView } from "../models/videoView.model.js";
+import { Trending } from "../models/trending.model.js";
+import { TrendingRun } from "../models/trendingRun.model.js";
+import {
+  TRENDING_RECOMPUTE_INTERVAL,
+  TRENDING_HALF_LIFE_HOURS,
+  TRENDING_WEIGHTS,
+  TRENDING_MIN_SCORE,
+} from "../constants.js";
+
+export const TRENDING_JOB = "trending.recompute";
+
+const HOUR = 60 * 60 * 1000;
+
+// Count documents per video created in a time window
+const countPerVideo = async (Model, match) => {
+  const counts = await Model.aggregate([
+    { $match: { video: { $exists: true }, ...match } },
+    { $group: { _id: "$video", count: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+// Score of a row decayed from its computedAt to the given time
+const decayedScore = (until) => ({
+  $multiply: [
+    { $ifNull: ["$score", 0] },
+    {
+      $pow: [
+        0.5,
+        {
+          $divide: [
+            { $subtract: [until, { $ifNull: ["$computedAt", until] }] },
+            TRENDING_HALF_LIFE_HOURS * HOUR,
+          ],
+        },
+      ],
+    },
+  ],
+});
+
+// Worker handler for TRENDING_JOB. Each run decays the previous scores by the time since they
+// were computed and adds the activity since the last run, so the score follows the recent rate
+// of activity. Only videos with activity in the window are read, the rest are decayed in one update.
+// The window is kept in TrendingRun and each row remembers the last window it received, so a
+// run that fails part way can be retried without counting activity twice.
+export const recomputeTrending = async () => {
+  const run = await TrendingRun.findOneAndUpdate(
+    { key: TRENDING_JOB },
+    { $setOnInsert: { key: TRENDING_JOB } },
+    { upsert: true, new: true }
+  );
+
+  // A failed run left its window end behind, finish that window before starting a new one
+  const until = run.pendingUntil || new Date();
+  const since =
+    run.completedUntil || new Date(until - TRENDING_RECOMPUTE_INTERVAL);
+
+  if (!run.pendingUntil) {
+    await TrendingRun.updateOne(
+      { _id: run._id },
+      { $set: { pendingUntil: until } }
+    );
+  }
+
+  const window = { createdAt: { $gt: since, $lte: until } };
+
+  const [viewCounts, likeCounts, commentCounts] = await Promise.all([
+    // Views are counted once per user, when their view marker is created
+    countPerVideo(VideoView, window),
+    // Documents without a type are likes from before reactions
+    countPerVideo(Like, { ...window, type: { $in: ["like", null] } }),
+    countPerVideo(Comment, { ...window, isDeleted: { $ne: true } }),
+  ]);
+
+  const activeIds = [
+    ...new Set([
+      ...viewCounts.keys(),
+      ...likeCounts.keys(),
+      ...commentCounts.keys(),
+    ]),
+  ];
+  const activeVideos = activeIds.length
+    ? await Video.find({ _id: { $in: activeIds }, isPublished: true }).select(
+        "category"
+      )
+    : [];
+
+  // Decay and activity go in the same update, rows that already received this window are left as is
+  const operations = activeVideos.map((video) => {
+    const id = video._id.toString();
+    const activity =
+      (viewCounts.get(id) || 0) * TRENDING_WEIGHTS.views +
+      (likeCounts.get(id) || 0) * TRENDING_WEIGHTS.likes +
+      (commentCounts.get(id) || 0) * TRENDING_WEIGHTS.comments;
+    const isApplied = { $eq: ["$appliedUntil", until] };
+
+    return {
+      updateOne: {
+        filter: { video: video._id },
+        update: [
+          {
+            $set: {
+              score: {
+                $cond: [
+                  isApplied,
+                  "$score",
+                  { $add: [decayedScore(until), activity] },
+                ],
+              },
+              category: video.category,
+              computedAt: until,
+              appliedUntil: until,
+            },
+          },
+        ],
+        upsert: true,
+      },
+    };
+  });
+
+  if (operations.length) await Trending.bulkWrite(operations);
+
+  // Decay the scores of videos without activity in the window
+  await Trending.updateMany({ computedAt: { $lt: until } }, [
+    { $set: { score: decayedScore(until), computedAt: until } },
+  ]);
+
+  // Videos that stopped getting activity leave the snapshot once their score has decayed.
+  // Unpublished and deleted ones are already left out of the feed by its lookup.
+  await Trending.deleteMany({ score: { $lt: TRENDING_MIN_SCORE } });
+
+  // The window only counts as done once every write above went through
+  await TrendingRun.updateOne(
+    { _id: run._id },
+    { $set: { completedUntil: until }, $unset: { pendingUntil: 1 } }
+  );
+
+  return operations.length;
+};
@@ -0,0 +1,37 @@
+import fs from "fs";
+import path from "path";
+import { UploadSession } from "../models/uploadSession.model.js";
+
+const TEMP_DIR = "./public/temp";
+
+// Partial file of an upload session, kept next to multer's temp files
+export const getUploadTempPath = (uploadId) =>
+  path.join(TEMP_DIR, `upload-${uploadId}.part`);
+
+// Sort and merge received byte ranges, chunks can arrive out of order or be sent twice
+export const mergeRanges = (ranges) =>
+  [...ranges]
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range.start <= last.end) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        merged.push({ start: range.start, end: range.end });
+      }
+      return merged;
+    }, []);
+
+// Remove abandoned sessions together with their partial files
+export const cleanupExpiredUploadSessions = async () => {
+  const expiredSessions = await UploadSession.find({
+    expiresAt: { $lt: new Date() },
+  });
+
+  for (const session of expiredSessions) {
+    await fs.promises.rm(getUploadTempPath(session._id), { force: true });
+    await UploadSession.deleteOne({ _id: session._id });
+  }
+
+  return expiredSessions.length;
+};
@@ -0,0 +1,17 @@
+import { Video } from "../models/video.model.js";
+import { ApiError } from "./ApiError.js";
+
+// Load a video the user may see. Unpublished videos only exist for their owner,
+// anyone else gets the same 404 as for a video that was never there.
+export const findWatchableVideo = async (videoId, userId) => {
+  const video = await Video.findById(videoId);
+
+  if (
+    !video ||
+    (!video.isPublished && video.owner?.toString() !== userId?.toString())
+  ) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  return video;
+};
@@ -0,0 +1,360 @@
+import fs from "fs";
+import path from "path";
+import { Video } from "../models/video.model.js";
+import { ApiError } from "./ApiError.js";
+import {
+  uploadMedia,
+  deleteMedia,
+  uploadMediaDirectory,
+  deleteMediaDirectory,
+} from "./storage/index.js";
+import {
+  transcodeToHls,
+  extractThumbnailCandidates,
+  generatePreviewTrack,
+  extractVideoMetadata,
+} from "./fileProcessing.js";
+import { enqueueJob } from "./jobQueue.js";
+import { toSearchTerms } from "./search/terms.js";
+import {
+  video_upOptions,
+  thumbnail_upOptions,
+  hls_upOptions,
+  preview_upOptions,
+} from "../constants.js";
+
+export const VIDEO_PROCESSING_JOB = "video.process";
+
+// Files of a queued video wait here until the worker has stored them. The job only carries
+// their paths, so the API and the worker have to run on the same filesystem (one host, or a
+// volume mounted at public/temp in both).
+const getVideoJobDir = (videoId) =>
+  path.join("./public/temp/jobs", videoId.toString());
+
+// Keep the temp files under a name that can't clash with later uploads of the same file name
+const moveIntoJobDir = async (localPath, jobDir, name) => {
+  if (!localPath) return undefined;
+
+  const jobPath = path.join(jobDir, `${name}${path.extname(localPath)}`);
+  await fs.promises.rename(localPath, jobPath);
+  return jobPath;
+};
+
+// Creates the Video document right away and queues the upload and transcoding for the worker.
+// Shared by the single-request publish endpoint and the resumable upload finalize endpoint.
+// The video is only published once processing is done, and only if isPublished was asked for.
+// Without a thumbnail one of the frames extracted by the worker is used.
+export const queueVideoProcessing = async ({
+  videoLocalPath,
+  thumbnailLocalPath,
+  title,
+  description,
+  tags,
+  category,
+  isPublished,
+  owner,
+}) => {
+  // Reject files that aren't playable or are over the limits before anything is stored
+  let metadata;
+  try {
+    metadata = await extractVideoMetadata(videoLocalPath);
+  } catch (error) {
+    await Promise.all(
+      [videoLocalPath, thumbnailLocalPath]
+        .filter(Boolean)
+        .map((tempPath) => fs.promises.rm(tempPath, { force: true }))
+    );
+    throw error;
+  }
+
+  // The stream flags were only needed for the checks above
+  const { duration, hasVideo, hasAudio, ...fileMetadata } = metadata;
+
+  const video = await Video.create({
+    title,
+    titleTerms: toSearchTerms(title),
+    description,
+    tags,
+    category,
+    duration,
+    metadata: fileMetadata,
+    isPublished: false,
+    processingStatus: "queued",
+    owner, // ID of the user who uploaded the video
+  });
+
+  const jobDir = getVideoJobDir(video._id);
+
+  try {
+    await fs.promises.mkdir(jobDir, { recursive: true });
+
+    const job = await enqueueJob(VIDEO_PROCESSING_JOB, {
+      videoId: video._id.toString(),
+      videoLocalPath: await moveIntoJobDir(videoLocalPath, jobDir, "video"),
+      thumbnailLocalPath: await moveIntoJobDir(
+        thumbnailLocalPath,
+        jobDir,
+        "thumbnail"
+      ),
+      isPublished,
+    });
+
+    video.processingJob = job._id;
+    await video.save({ validateBeforeSave: false });
+  } catch (error) {
+    // Without a job nothing would ever process the video
+    await Promise.all([
+      Video.findByIdAndDelete(video._id),
+      fs.promises.rm(jobDir, { recursive: true, force: true }),
+    ]);
+    throw new ApiError(500, "Failed to queue video for processing");
+  }
+
+  return video;
+};
+
+// Saves one processed part on the video. If the video was deleted in the meantime
+// the part that was just stored is removed again and processing stops.
+const saveProcessedPart = async (videoId, update, removeStoredPart) => {
+  const video = await Video.findByIdAndUpdate(
+    videoId,
+    { $set: update },
+    { new: true }
+  );
+
+  if (!video) {
+    await removeStoredPart();
+    throw new Error("Video was deleted while processing");
+  }
+
+  return video;
+};
+
+// Worker handler for VIDEO_PROCESSING_JOB. Every part that is stored is saved on the
+// video straight away, so a retry only redoes the parts that failed.
+export const processVideo = async (
+  { videoId, videoLocalPath, thumbnailLocalPath, isPublished },
+  { setProgress }
+) => {
+  const jobDir = getVideoJobDir(videoId);
+
+  let video = await Video.findByIdAndUpdate(
+    videoId,
+    { $set: { processingStatus: "processing" } },
+    { new: true }
+  );
+
+  // The owner deleted the video before it was processed
+  if (!video) {
+    await fs.promises.rm(jobDir, { recursive: true, force: true });
+    return;
+  }
+
+  try {
+    // A worker without access to the API's public/temp can't do anything with the job.
+    // The source is only gone legitimately once it was stored, which is the last step.
+    if (!video.video?.fileId) {
+      await fs.promises.access(videoLocalPath).catch(() => {
+        throw new Error(
+          `Source file ${videoLocalPath} not found, the worker must share public/temp with the API`
+        );
+      });
+    }
+
+    const isTranscodingEnabled = process.env.VIDEO_TRANSCODER === "local";
+
+    // Build the HLS ladder locally, the storage's own streaming profile is used otherwise
+    if (isTranscodingEnabled && !video.hls?.fileId) {
+      const outputDir = path.join(jobDir, "hls");
+      await fs.promises.rm(outputDir, { recursive: true, force: true });
+
+      const transcoded = await transcodeToHls(videoLocalPath, outputDir);
+      await setProgress(30);
+
+      const hlsDirectory = await uploadMediaDirectory(
+        outputDir,
+        hls_upOptions,
+        { keepOnFailure: true }
+      );
+      if (!hlsDirectory) throw new Error("Failed to upload HLS files");
+
+      video = await saveProcessedPart(
+        videoId,
+        {
+          hls: {
+            fileId: hlsDirectory.fileId, // ID of the HLS directory in the media storage
+            url: `${hlsDirectory.baseUrl}/${transcoded.masterPlaylist}`, // URL of the master playlist
+          },
+          renditions: transcoded.renditions.map(
+            ({ playlist, ...rendition }) => ({
+              ...rendition,
+              url: `${hlsDirectory.baseUrl}/${playlist}`,
+            })
+          ),
+          // The probed duration is exact, the storage may not report one
+          duration: transcoded.duration,
+        },
+        () => deleteMediaDirectory(hlsDirectory.fileId, hls_upOptions)
+      );
+    }
+    await setProgress(40);
+
+    // Frames the owner can pick a thumbnail from, also used when no thumbnail was uploaded
+    if (!video.thumbnailCandidates?.length) {
+      const candidatesDir = path.join(jobDir, "candidates");
+      await fs.promises.rm(candidatesDir, { recursive: true, force: true });
+
+      const candidatePaths = await extractThumbnailCandidates(
+        videoLocalPath,
+        candidatesDir
+      );
+      const candidateFiles = await Promise.all(
+        candidatePaths.map((candidatePath) =>
+          uploadMedia(candidatePath, thumbnail_upOptions)
+        )
+      );
+      const removeCandidates = () =>
+        Promise.all(
+          candidateFiles.map((candidateFile) =>
+            deleteMedia(candidateFile?.fileId, thumbnail_upOptions)
+          )
+        );
+
+      // The frames are extracted again on retry, so the ones that did upload are removed
+      if (!candidateFiles.length || candidateFiles.includes(null)) {
+        await removeCandidates();
+        throw new Error("Failed to upload thumbnail candidates");
+      }
+
+      video = await saveProcessedPart(
+        videoId,
+        {
+          thumbnailCandidates: candidateFiles.map(({ fileId, url }) => ({
+            fileId,
+            url,
+          })),
+        },
+        removeCandidates
+      );
+    }
+    await setProgress(50);
+
+    if (!video.thumbnail?.fileId) {
+      let thumbnail = video.thumbnailCandidates[0];
+
+      if (thumbnailLocalPath) {
+        const thumbnailFile = await uploadMedia(
+          thumbnailLocalPath,
+          thumbnail_upOptions,
+          { keepOnFailure: true }
+        );
+        if (!thumbnailFile) throw new Error("Failed to upload thumbnail");
+        thumbnail = thumbnailFile;
+      }
+
+      video = await saveProcessedPart(
+        videoId,
+        {
+          thumbnail: {
+            fileId: thumbnail.fileId, // ID of the thumbnail file in the media storage
+            url: thumbnail.url, // URL of the thumbnail file
+          },
+        },
+        () =>
+          thumbnailLocalPath &&
+          deleteMedia(thumbnail.fileId, thumbnail_upOptions)
+      );
+    }
+    await setProgress(60);
+
+    // Sprite sheet and WebVTT track for previews while scrubbing
+    if (!video.preview?.fileId) {
+      const previewDir = path.join(jobDir, "preview");
+      await fs.promises.rm(previewDir, { recursive: true, force: true });
+
+      const previewTrack = await generatePreviewTrack(
+        videoLocalPath,
+        previewDir
+      );
+
+      // Videos too short or broken to extract frames from are published without a preview
+      if (previewTrack) {
+        const previewDirectory = await uploadMediaDirectory(
+          previewDir,
+          preview_upOptions,
+          { keepOnFailure: true }
+        );
+        if (!previewDirectory) {
+          throw new Error("Failed to upload preview track");
+        }
+
+        video = await saveProcessedPart(
+          videoId,
+          {
+            preview: {
+              fileId: previewDirectory.fileId, // ID of the preview directory in the media storage
+              url: `${previewDirectory.baseUrl}/${previewTrack.track}`, // URL of the WebVTT track
+            },
+          },
+          () => deleteMediaDirectory(previewDirectory.fileId, preview_upOptions)
+        );
+      }
+    }
+    await setProgress(80);
+
+    // The original is stored last, the steps above still read it from the job directory.
+    // The eager streaming profile is redundant when the HLS ladder was built locally.
+    const videoOptions = isTranscodingEnabled
+      ? { folder: video_upOptions.folder, resource_type: "video" }
+      : video_upOptions;
+
+    if (!video.video?.fileId) {
+      const videoFile = await uploadMedia(videoLocalPath, videoOptions, {
+        keepOnFailure: true,
+      });
+      if (!videoFile) throw new Error("Failed to upload video");
+
+      video = await saveProcessedPart(
+        videoId,
+        {
+          video: {
+            fileId: videoFile.fileId, // ID of the video file in the media storage
+            url: videoFile.url, // URL of the video file
+          },
+          duration: video.duration || videoFile.duration,
+        },
+        () => deleteMedia(videoFile.fileId, videoOptions)
+      );
+    }
+
+    await Video.findByIdAndUpdate(videoId, {
+      $set: {
+        processingStatus: "ready",
+        isPublished,
+        ...(isPublished && { publishedAt: new Date() }),
+      },
+      $unset: { processingError: "" },
+    });
+  } catch (error) {
+    // Waiting for a retry, onVideoProcessingDead marks it failed if there is none left
+    await Video.findByIdAndUpdate(videoId, {
+      $set: { processingStatus: "queued", processingError: error.message },
+    });
+    throw error;
+  }
+
+  await fs.promises.rm(jobDir, { recursive: true, force: true });
+};
+
+// Runs once the processing job has used up its attempts
+export const onVideoProcessingDead = async ({ videoId }, error) => {
+  await Promise.all([
+    Video.findByIdAndUpdate(videoId, {
+      $set: {
+        processingStatus: "failed",
+        processingError: error?.message || "Processing failed",
+      },
+    }),
+    fs.promises.rm(getVideoJobDir(videoId), { recursive: true, force: true }),
+  ]);
+};
@@ -0,0 +1,31 @@
+import { Video } from "../models/video.model.js";
+import { VideoView } from "../models/videoView.model.js";
+import { WatchHistory } from "../models/watchHistory.model.js";
+
+// Counts a user's view of a video once, the upsert makes sure concurrent requests count it once
+export const countView = async (userId, videoId) => {
+  const result = await VideoView.findOneAndUpdate(
+    { user: userId, video: videoId },
+    { $setOnInsert: { user: userId, video: videoId } },
+    { upsert: true, new: true, includeResultMetadata: true }
+  );
+
+  const isNewView = !result.lastErrorObject?.updatedExisting;
+  if (isNewView) {
+    await Video.findByIdAndUpdate(videoId, { $inc: { views: 1 } });
+  }
+
+  return isNewView;
+};
+
+// Moves a video to the top of the user's history, creating the entry the first time
+export const recordWatch = (userId, videoId, update = {}) =>
+  WatchHistory.findOneAndUpdate(
+    { user: userId, video: videoId },
+    { $set: { watchedAt: new Date(), ...update } },
+    { upsert: true, new: true }
+  );
+
+// Watched share of a video, in percent
+export const getWatchProgress = (position, duration) =>
+  duration ? Math.min(100, Math.round((position / duration) * 1000) / 10) : 0;
@@ -0,0 +1,23 @@
+// Request schemas for the comment routes, used with the validate middleware
+
+const commentListQuery = {
+  page: { type: "integer", min: 1, default: 1 },
+  limit: { type: "integer", min: 1, max: 50, default: 10 },
+};
+
+const COMMENT_SORTS = ["newest", "oldest", "top"];
+
+export const getVideoCommentsSchema = {
+  query: {
+    ...commentListQuery,
+    sortBy: { type: "string", enum: COMMENT_SORTS, default: "newest" },
+  },
+};
+
+// Replies read as a conversation by default
+export const getCommentRepliesSchema = {
+  query: {
+    ...commentListQuery,
+    sortBy: { type: "string", enum: COMMENT_SORTS, default: "oldest" },
+  },
+};
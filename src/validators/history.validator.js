@@ -0,0 +1,29 @@
+// Request schemas for the watch history routes, used with the validate middleware
+
+const videoIdParams = {
+  videoId: { type: "objectId", required: true },
+};
+
+export const getWatchHistorySchema = {
+  query: {
+    page: { type: "integer", min: 1, default: 1 },
+    limit: { type: "integer", min: 1, max: 50, default: 20 },
+  },
+};
+
+export const historyVideoSchema = {
+  params: videoIdParams,
+};
+
+export const reportWatchProgressSchema = {
+  params: videoIdParams,
+  body: {
+    position: { type: "number", required: true, min: 0 },
+  },
+};
+
+export const setWatchHistoryPausedSchema = {
+  body: {
+    isPaused: { type: "boolean", required: true },
+  },
+};
@@ -0,0 +1,8 @@
+// Request schemas for the like routes, used with the validate middleware
+
+export const getLikedVideosSchema = {
+  query: {
+    page: { type: "integer", min: 1, default: 1 },
+    limit: { type: "integer", min: 1, max: 50, default: 10 },
+  },
+};
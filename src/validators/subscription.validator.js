@@ -0,0 +1,21 @@
+// Request schemas for the subscription routes, used with the validate middleware
+
+const channelListQuery = {
+  page: { type: "integer", min: 1, default: 1 },
+  limit: { type: "integer", min: 1, max: 50, default: 10 },
+};
+
+export const getUserChannelSubscribersSchema = {
+  query: channelListQuery,
+};
+
+export const getSubscribedChannelsSchema = {
+  query: channelListQuery,
+};
+
+export const getSubscriptionFeedSchema = {
+  query: {
+    cursor: { type: "string", maxLength: 200 },
+    limit: { type: "integer", min: 1, max: 50, default: 20 },
+  },
+};
@@ -0,0 +1,43 @@
+import { categoryRule, tagsRule } from "./video.validator.js";
+
+// Request schemas for the resumable upload routes, used with the validate middleware
+
+const uploadIdParams = {
+  uploadId: { type: "objectId", required: true },
+};
+
+export const uploadIdSchema = {
+  params: uploadIdParams,
+};
+
+export const initiateUploadSchema = {
+  body: {
+    fileName: { type: "string", required: true, maxLength: 255 },
+    mimeType: { type: "string", required: true, lowercase: true },
+    size: { type: "integer", required: true, min: 1 },
+    checksum: {
+      type: "string",
+      required: true,
+      lowercase: true,
+      pattern: /^[a-f0-9]{64}$/,
+      patternMessage: "must be a hex encoded sha256 hash",
+    },
+  },
+};
+
+export const uploadChunkSchema = {
+  params: uploadIdParams,
+  query: {
+    offset: { type: "integer", min: 0 },
+  },
+};
+
+export const finalizeUploadSchema = {
+  params: uploadIdParams,
+  body: {
+    title: { type: "string", required: true, maxLength: 100 },
+    description: { type: "string", required: true, maxLength: 5000 },
+    tags: tagsRule,
+    category: categoryRule,
+  },
+};
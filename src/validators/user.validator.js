@@ -0,0 +1,55 @@
+// Request schemas for the user routes, used with the validate middleware
+
+const USERNAME_PATTERN = /^[a-z0-9_.]+$/;
+
+export const registerUserSchema = {
+  body: {
+    fullName: { type: "string", required: true, maxLength: 100 },
+    email: { type: "email", required: true },
+    username: {
+      type: "string",
+      required: true,
+      lowercase: true,
+      minLength: 3,
+      maxLength: 30,
+      pattern: USERNAME_PATTERN,
+      patternMessage: "can only contain letters, numbers, dots and underscores",
+    },
+    password: { type: "string", required: true, trim: false, minLength: 6 },
+  },
+};
+
+export const loginUserSchema = {
+  body: {
+    email: { type: "email" },
+    username: { type: "string", lowercase: true },
+    password: { type: "string", required: true, trim: false },
+  },
+};
+
+export const refreshAccessTokenSchema = {
+  body: {
+    refreshToken: { type: "string" },
+  },
+};
+
+export const changePasswordSchema = {
+  body: {
+    oldPassword: { type: "string", required: true, trim: false },
+    newPassword: { type: "string", required: true, trim: false, minLength: 6 },
+    confirmPassword: { type: "string", required: true, trim: false },
+  },
+};
+
+export const updateAccountSchema = {
+  body: {
+    fullName: { type: "string", required: true, maxLength: 100 },
+    email: { type: "email", required: true },
+  },
+};
+
+export const channelProfileSchema = {
+  params: {
+    username: { type: "string", required: true, lowercase: true },
+  },
+};
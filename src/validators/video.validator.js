@@ -0,0 +1,141 @@
+import {
+  MAX_TAG_LENGTH,
+  MAX_VIDEO_TAGS,
+  VIDEO_CATEGORIES,
+} from "../constants.js";
+
+// Request schemas for the video routes, used with the validate middleware
+
+const videoIdParams = {
+  videoId: { type: "objectId", required: true },
+};
+
+export const videoIdSchema = {
+  params: videoIdParams,
+};
+
+// Shared by the publish, update and upload finalize bodies
+export const tagsRule = {
+  type: "list",
+  maxItems: MAX_VIDEO_TAGS,
+  itemMaxLength: MAX_TAG_LENGTH,
+};
+
+export const categoryRule = {
+  type: "string",
+  lowercase: true,
+  enum: VIDEO_CATEGORIES,
+};
+
+const browseQuery = {
+  page: { type: "integer", min: 1, default: 1 },
+  limit: { type: "integer", min: 1, max: 50, default: 10 },
+  sortBy: {
+    type: "string",
+    enum: ["createdAt", "views", "duration", "title"],
+  },
+  sortType: { type: "string", enum: ["asc", "desc"] },
+};
+
+export const getAllVideosSchema = {
+  query: {
+    page: { type: "integer", min: 1, default: 1 },
+    limit: { type: "integer", min: 1, max: 50, default: 10 },
+    query: { type: "string", maxLength: 200 },
+    sortBy: {
+      type: "string",
+      enum: ["relevance", "createdAt", "views", "duration", "title"],
+    },
+    sortType: { type: "string", enum: ["asc", "desc"] },
+    userId: { type: "objectId" },
+    minDuration: { type: "number", min: 0 },
+    maxDuration: { type: "number", min: 0 },
+    uploadedAfter: { type: "date" },
+    uploadedBefore: { type: "date" },
+    tag: { type: "string", lowercase: true, maxLength: MAX_TAG_LENGTH },
+    category: categoryRule,
+  },
+};
+
+export const getVideosByTagSchema = {
+  params: {
+    tag: {
+      type: "string",
+      required: true,
+      lowercase: true,
+      maxLength: MAX_TAG_LENGTH,
+    },
+  },
+  query: browseQuery,
+};
+
+export const getVideosByCategorySchema = {
+  params: {
+    category: { ...categoryRule, required: true },
+  },
+  query: browseQuery,
+};
+
+export const getTopTagsSchema = {
+  query: {
+    limit: { type: "integer", min: 1, max: 50, default: 20 },
+    category: categoryRule,
+  },
+};
+
+export const getTrendingVideosSchema = {
+  query: {
+    page: { type: "integer", min: 1, default: 1 },
+    limit: { type: "integer", min: 1, max: 50, default: 10 },
+    category: categoryRule,
+  },
+};
+
+export const searchSuggestionsSchema = {
+  query: {
+    q: { type: "string", required: true, maxLength: 100 },
+    limit: { type: "integer", min: 1, max: 10, default: 5 },
+  },
+};
+
+export const publishVideoSchema = {
+  body: {
+    title: { type: "string", required: true, maxLength: 100 },
+    description: { type: "string", required: true, maxLength: 5000 },
+    isPublished: { type: "boolean", default: true },
+    tags: tagsRule,
+    category: categoryRule,
+  },
+};
+
+export const updateVideoSchema = {
+  params: videoIdParams,
+  body: {
+    title: { type: "string", required: true, maxLength: 100 },
+    description: { type: "string", required: true, maxLength: 5000 },
+    tags: tagsRule,
+    category: categoryRule,
+  },
+};
+
+export const selectThumbnailSchema = {
+  params: videoIdParams,
+  body: {
+    candidate: { type: "integer", required: true, min: 0 },
+  },
+};
+
+export const getNextVideosSchema = {
+  params: videoIdParams,
+  query: {
+    page: { type: "integer", min: 1, default: 1 },
+    limit: { type: "integer", min: 1, max: 50, default: 10 },
+  },
+};
+
+export const getVideoByIdSchema = {
+  params: videoIdParams,
+  query: {
+    guest: { type: "boolean", default: false },
+  },
+};
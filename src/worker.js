@@ -0,0 +1,58 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "./db/index.js";
+import {
+  ensureJobQueued,
+  registerJobHandler,
+  startJobWorker,
+} from "./utils/jobQueue.js";
+import {
+  VIDEO_PROCESSING_JOB,
+  processVideo,
+  onVideoProcessingDead,
+} from "./utils/videoPublisher.js";
+import { TRENDING_JOB, recomputeTrending } from "./utils/trending.js";
+import { TRENDING_RECOMPUTE_INTERVAL } from "./constants.js";
+
+dotenv.config({
+  path: "./.env",
+});
+
+// Video jobs read the uploaded files from public/temp/jobs, so this process has to run
+// next to the API or with the same directory mounted
+registerJobHandler(VIDEO_PROCESSING_JOB, processVideo, {
+  onDead: onVideoProcessingDead,
+});
+registerJobHandler(TRENDING_JOB, recomputeTrending);
+
+connectDB().then(() => {
+  const stopMediaWorker = startJobWorker({
+    concurrency: Number(process.env.JOB_CONCURRENCY) || 1,
+    types: [VIDEO_PROCESSING_JOB],
+  });
+  // Scheduled jobs get their own slot so they don't wait behind hours of transcoding
+  const stopScheduledWorker = startJobWorker({ types: [TRENDING_JOB] });
+  console.log("Job worker started");
+
+  // Going through the queue keeps the trending snapshot to one run at a time with several workers
+  const scheduleTrending = () =>
+    ensureJobQueued(TRENDING_JOB).catch((error) =>
+      console.log("Failed to schedule trending recompute", error)
+    );
+  scheduleTrending();
+  const trendingTimer = setInterval(
+    scheduleTrending,
+    TRENDING_RECOMPUTE_INTERVAL
+  );
+
+  // Let running jobs finish before exiting, unfinished ones would only be retried after the lock timeout
+  const shutdown = async () => {
+    console.log("Job worker stopping...");
+    clearInterval(trendingTimer);
+    await Promise.all([stopMediaWorker(), stopScheduledWorker()]);
+    await mongoose.disconnect();
+    process.exit(0);
+  };
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
+});